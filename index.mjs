@@ -2,57 +2,76 @@
  * Main Module
  * 
  * This is where the CLI tool is configured that calls all of the
- * subordinate functions.
+ * subordinate functions. Any of the answers may also be supplied as
+ * command-line flags (run with `--help` for the list), in which case
+ * only the remaining questions will be asked. Answers can be saved to
+ * and replayed from named profiles.
  * 
  * @module
  */
 
-import { generate, generateCsv } from './src/generators.mjs'
-import {
-  howManyRowsShouldBeInSource,
-  howManyRowsShouldTargetBeRelativeToSource,
-  shouldColumnOrderBeAltered,
-  shouldOptionalColumnsBeIncluded,
-  whichColumnsShouldHaveDatesAltered,
-  whichColumnsShouldHaveDifferentNames,
-  whichColumnsShouldHaveFloatsAltered,
-  whichColumnsShouldHaveLatLonAltered
-} from './src/questions.mjs'
-import colspec from './colspec.mjs'
-import fs from 'fs'
+import { defaultColspecFile, loadColspec } from './src/colspecLoader.mjs'
+import { generateFiles, generateStream } from './src/generators.mjs'
+import { getQuestions, whichColspecFileShouldBeUsed } from './src/questions.mjs'
+import { loadProfile, saveProfile, withDefaults } from './src/profiles.mjs'
+import { parseArguments, usage, validateAnswers } from './src/arguments.mjs'
+import { assertValidColspec } from './src/colspecValidator.mjs'
 import inquirer from 'inquirer'
+import path from 'path'
+import { writeFiles } from './src/fileWriter.mjs'
 
 /**
- * This function starts the CLI tool's Q&A process and then
- * processes and writes the results to the `output/` directory.
+ * Returns every question, with the column choices built from the given colspec
+ * 
+ * @param   {array} colspec The array of column specifications
+ * @returns {array}         The array of inquirer question objects
  */
-inquirer
-  .prompt([
-    shouldOptionalColumnsBeIncluded,
-    howManyRowsShouldBeInSource,
-    howManyRowsShouldTargetBeRelativeToSource,
-    shouldColumnOrderBeAltered,
-    whichColumnsShouldHaveDifferentNames,
-    whichColumnsShouldHaveFloatsAltered,
-    whichColumnsShouldHaveDatesAltered,
-    whichColumnsShouldHaveLatLonAltered,
-  ])
-  .then((answers) => {
-    const output = generate(answers, colspec)
-    const csvs = generateCsv(output)
+const allQuestions = colspec => [whichColspecFileShouldBeUsed, ...getQuestions(colspec)]
 
-    try {
-      fs.writeFileSync(csvs.source.path, csvs.source.content)
-      fs.writeFileSync(csvs.target.path, csvs.target.content)
-    } catch (e) {
-      console.log(e)
+/**
+ * This function parses any command-line flags and loads the requested profile,
+ * starts the CLI tool's Q&A process for whatever was not supplied, and then
+ * processes and writes the results to the `output/` directory. The colspec file
+ * is asked for first, since the choices offered by later questions depend on it.
+ */
+Promise.resolve()
+  // the flags only depend on the names and types of the questions, not on the colspec
+  .then(() => parseArguments(process.argv.slice(2), allQuestions([])))
+  .then(({ help, profile, saveProfile: saveAs, editProfile, answers: flagAnswers }) => {
+    if (help) {
+      return loadColspec(defaultColspecFile).then(colspec => console.log(usage(allQuestions(colspec))))
     }
-    })
+    const profileName = editProfile || profile
+    const supplied = { ...(profileName ? loadProfile(profileName) : {}), ...flagAnswers }
+    // when editing a profile every question is asked again, with the saved answers as defaults
+    const prompt = (questions, answers) => editProfile
+      ? inquirer.prompt(withDefaults(questions, answers), answers)
+      : inquirer.prompt(questions, answers)
+
+    return prompt([whichColspecFileShouldBeUsed], supplied)
+      .then(answers => loadColspec(answers.colspecFile).then(colspec => ({ answers, colspec: assertValidColspec(colspec) })))
+      .then(({ answers, colspec }) => prompt(getQuestions(colspec), answers).then(all => ({ answers: all, colspec })))
+      .then(({ answers, colspec }) => {
+        const errors = validateAnswers(answers, allQuestions(colspec), editProfile ? [] : Object.keys(supplied))
+
+        if (errors.length > 0) {
+          throw new Error(`Invalid answers:\n${errors.join('\n')}`)
+        }
+        if (editProfile || saveAs) {
+          console.log(`Saved profile: ${saveProfile(saveAs || editProfile, answers)}`)
+        }
+        const output = generateStream(answers, colspec)
+
+        return generateFiles(output, { file: path.resolve(answers.colspecFile), colspec }, answers.output, answers)
+      })
+      .then(writeFiles)
+  })
   .catch(error => {
     if (error.isTtyError) {
       // prompt could not be rendered in current environment
     } else {
       // something else went wrong
     }
-    console.log(error)
+    console.error(error)
+    process.exitCode = 1
   })
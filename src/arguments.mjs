@@ -0,0 +1,354 @@
+/**
+ * Command-Line Arguments
+ *
+ * These functions allow any of the answers to the CLI questions to be
+ * supplied as command-line flags instead, e.g. when running the generator
+ * from a CI job or a shell script. The flags are derived from the question
+ * objects themselves, so `sourceCount` becomes `--source-count`, and the
+ * supplied values are held to the same validation rules as the questions.
+ *
+ * @module arguments
+ */
+
+import { delimiters, encodings, lineEndings, outputFormats, quotingPolicies } from './generatorUtilities.mjs'
+import { maxBatchSize, sqlDialects } from './sqlWriter.mjs'
+import { isXmlName } from './xmlWriter.mjs'
+import { paramCase } from 'change-case'
+import { parquetCompressions } from './parquetWriter.mjs'
+import { parseArgs } from 'util'
+
+/**
+ * The tables that output options can be set for individually
+ */
+export const tables = ['source', 'target']
+
+/**
+ * Options that control how the tables are written. Each one can be set for both tables
+ * at once, e.g. `--quoting all`, or for just one of them, e.g. `--target-quoting all`,
+ * which makes differences in format part of a test scenario. Named values, e.g.
+ * `--delimiter pipe`, are converted to the values the writers use, e.g. `|`. Boolean
+ * options are set just by including the flag.
+ */
+export const outputOptions = {
+  format: {
+    description: `File format: ${Object.keys(outputFormats).join(', ')} (default: csv)`,
+    validate: val => Object.keys(outputFormats).includes(val) || `Please choose one of ${Object.keys(outputFormats).join(', ')}`,
+  },
+  quoting: {
+    description: `Which CSV fields to quote: ${quotingPolicies.join(', ')} (default: non-numeric)`,
+    validate: val => quotingPolicies.includes(val) || `Please choose one of ${quotingPolicies.join(', ')}`,
+  },
+  delimiter: {
+    description: `Field delimiter: ${Object.keys(delimiters).join(', ')}, or any other characters (default: comma)`,
+    validate: val => (val !== '' && !/["\r\n]/.test(val)) || 'Please enter a delimiter name or characters other than quotes and line breaks',
+    convert: val => delimiters[val] || val,
+  },
+  newline: {
+    description: `Line terminator: ${Object.keys(lineEndings).join(', ')} (default: crlf)`,
+    validate: val => Object.keys(lineEndings).includes(val) || `Please choose one of ${Object.keys(lineEndings).join(', ')}`,
+    convert: val => lineEndings[val],
+  },
+  encoding: {
+    description: `Character encoding: ${Object.keys(encodings).join(', ')} (default: utf-8)`,
+    validate: val => Object.keys(encodings).includes(val.toLowerCase()) || `Please choose one of ${Object.keys(encodings).join(', ')}`,
+    convert: val => encodings[val.toLowerCase()],
+  },
+  bom: {
+    type: 'boolean',
+    description: 'Start the file with a byte order mark (not available for latin-1)',
+  },
+  gzip: {
+    type: 'boolean',
+    description: 'Compress the file with gzip, e.g. as .csv.gz (not for sqlite and xlsx output)',
+  },
+  tableName: {
+    description: 'Name of the table in sql and sqlite output, or of the sheet in xlsx output (default: source or target)',
+    validate: val => val.trim() !== '' || 'Please enter a table name',
+  },
+  compression: {
+    description: `Compression codec for parquet output: ${parquetCompressions.join(', ')} (default: uncompressed)`,
+    validate: val => parquetCompressions.includes(val) || `Please choose one of ${parquetCompressions.join(', ')}`,
+  },
+  rowGroupSize: {
+    description: 'Rows per row group in parquet output (default: 4096)',
+    validate: val => (/^\d+$/.test(val) && val > 0) || 'Please enter a positive integer',
+    convert: val => parseInt(val, 10),
+  },
+  layout: {
+    type: 'boolean',
+    description: 'Also write a COBOL copybook describing the records of fixed-width output',
+  },
+  highlight: {
+    type: 'boolean',
+    description: 'Highlight the cells of TARGET that were altered in xlsx output',
+  },
+  rootElement: {
+    description: 'Name of the root element in xml output (default: the table name)',
+    validate: val => isXmlName(val) || 'Please enter a valid XML element name',
+  },
+  rowElement: {
+    description: 'Name of the element for each row in xml output (default: row)',
+    validate: val => isXmlName(val) || 'Please enter a valid XML element name',
+  },
+  dialect: {
+    description: `SQL dialect for the sql format: ${Object.keys(sqlDialects).join(', ')} (default: postgres)`,
+    validate: val => Object.keys(sqlDialects).includes(val) || `Please choose one of ${Object.keys(sqlDialects).join(', ')}`,
+  },
+  batchSize: {
+    description: `Rows per INSERT statement for the sql format, at most ${maxBatchSize} (default: 500)`,
+    validate: val =>
+      (/^\d+$/.test(val) && val > 0 && val <= maxBatchSize) || `Please enter an integer from 1 to ${maxBatchSize}`,
+    convert: val => parseInt(val, 10),
+  },
+}
+
+/**
+ * Flags that control the CLI tool itself rather than answering a question
+ */
+const commandOptions = {
+  help: { type: 'boolean', short: 'h' },
+  profile: { type: 'string' },
+  'save-profile': { type: 'string' },
+  'edit-profile': { type: 'string' },
+  seed: { type: 'string' },
+  zip: { type: 'boolean' },
+  workers: { type: 'string' },
+  ...Object.keys(outputOptions).reduce((opts, key) => {
+    const flag = paramCase(key)
+    const type = outputOptions[key].type || 'string'
+
+    return {
+      ...opts,
+      [flag]: { type },
+      ...tables.reduce((o, table) => ({ ...o, [`${table}-${flag}`]: { type } }), {}),
+    }
+  }, {}),
+}
+
+/**
+ * Converts the name of a question into the name of its command-line flag
+ *
+ * @param   {string} name The `name` of an inquirer question, e.g. `sourceCount`
+ * @returns {string}      The matching flag name, e.g. `source-count`
+ */
+export const getFlagName = name => paramCase(name)
+
+/**
+ * Builds the `options` config expected by `util.parseArgs` from a list of questions.
+ * Confirm questions become boolean flags with a `--no-` counterpart, checkbox questions
+ * become repeatable string flags, and everything else becomes a single string flag.
+ *
+ * @param   {array}  questions An array of inquirer question objects
+ * @returns {object}           The options config for `util.parseArgs`
+ */
+export const getFlagOptions = questions => questions.reduce((opts, q) => {
+  const flag = getFlagName(q.name)
+
+  switch (q.type) {
+    case 'confirm':
+      opts[flag] = { type: 'boolean' }
+      opts[`no-${flag}`] = { type: 'boolean' }
+      break
+    case 'checkbox':
+      opts[flag] = { type: 'string', multiple: true }
+      break
+    default:
+      opts[flag] = { type: 'string' }
+  }
+
+  return opts
+}, { ...commandOptions })
+
+/**
+ * Converts a raw flag value into the same type of value that inquirer would have
+ * produced for the question, i.e. a boolean, a number, or an array of choices.
+ * Checkbox values may be comma-separated, repeated, or both.
+ *
+ * @param   {object} question The inquirer question the value answers
+ * @param   {*}      value    The raw value parsed from the command line
+ * @returns {*}               The value converted to the question's answer type
+ */
+export const convertFlagValue = (question, value) => {
+  switch (question.type) {
+    case 'number':
+      return value.trim() === '' ? NaN : Number(value)
+    case 'checkbox':
+      return value.flatMap(v => v.split(',')).map(v => v.trim()).filter(v => v !== '')
+    default:
+      return value
+  }
+}
+
+/**
+ * Parses the command-line arguments into a (possibly partial) `answers` object.
+ * Questions whose flags were not supplied are left out, so that inquirer will
+ * prompt for them. A `--seed` is added to the answers as `seed`, `--workers` as
+ * `workers`, `--zip` as `zip`, and output options are added as `output`.
+ *
+ * @param   {array}  args      The command-line arguments, e.g. `process.argv.slice(2)`
+ * @param   {array}  questions An array of inquirer question objects
+ * @returns {object}           An object with the `answers` and the values of the command flags
+ */
+export const parseArguments = (args, questions) => {
+  const { values } = parseArgs({ args, options: getFlagOptions(questions), strict: true })
+  const answers = questions.reduce((ans, q) => {
+    const flag = getFlagName(q.name)
+
+    if (q.type === 'confirm' && values[`no-${flag}`]) {
+      ans[q.name] = false
+    } else if (values[flag] !== undefined) {
+      ans[q.name] = convertFlagValue(q, values[flag])
+    }
+
+    return ans
+  }, {})
+
+  const output = parseOutputOptions(values)
+
+  if (output) {
+    answers.output = output
+  }
+
+  if (values.zip) {
+    answers.zip = true
+  }
+
+  if (values.workers !== undefined) {
+    answers.workers = Number(values.workers)
+    if (!/^\d+$/.test(values.workers.trim())) {
+      throw new Error(`--workers: Please enter a whole number, received "${values.workers}"`)
+    }
+  }
+
+  if (values.seed !== undefined) {
+    answers.seed = Number(values.seed)
+    if (values.seed.trim() === '' || !Number.isInteger(answers.seed)) {
+      throw new Error(`--seed: Please enter an integer, received "${values.seed}"`)
+    }
+  }
+
+  return {
+    help: Boolean(values.help),
+    profile: values.profile,
+    saveProfile: values['save-profile'],
+    editProfile: values['edit-profile'],
+    answers,
+  }
+}
+
+/**
+ * Collects the output options from the parsed flags into an object with the options for
+ * each table, e.g. `{ source: { quoting: 'all' }, target: { quoting: 'minimal' } }`. An
+ * option set for one table takes precedence over the same option set for both. Throws
+ * an error if an option has an invalid value.
+ *
+ * @param   {object} values The flag values parsed by `util.parseArgs`
+ * @returns {object}        The output options for each table, or `undefined` if none were set
+ */
+export const parseOutputOptions = values => {
+  let found = false
+  const output = tables.reduce((out, table) => ({ ...out, [table]: {} }), {})
+
+  Object.entries(outputOptions).forEach(([key, { validate = () => true, convert = val => val }]) => {
+    const flag = getFlagName(key)
+
+    tables.forEach(table => {
+      const name = values[`${table}-${flag}`] === undefined ? flag : `${table}-${flag}`
+      const val = values[name]
+
+      if (val !== undefined) {
+        const valid = validate(val)
+
+        if (valid !== true) {
+          throw new Error(`--${name}: ${valid}`)
+        }
+        output[table][key] = convert(val)
+        found = true
+      }
+    })
+  })
+
+  const noBom = tables.find(table => output[table].bom && output[table].encoding === 'latin1')
+
+  if (noBom) {
+    throw new Error(`--${noBom}-bom: A byte order mark cannot be written in the latin-1 encoding`)
+  }
+
+  return found ? output : undefined
+}
+
+/**
+ * Validates answers against the rules defined in the question objects. For checkbox
+ * questions every selected value must also be one of the question's choices. Since
+ * some rules depend on other answers (e.g. `rowDiff` depends on `sourceCount`), this
+ * should be run on the complete set of answers.
+ *
+ * @param   {object} answers   The answers to be validated
+ * @param   {array}  questions An array of inquirer question objects
+ * @param   {array}  names     The names of the answers to validate, defaults to all of them
+ * @returns {array}            An array of error messages, empty if all answers are valid
+ */
+export const validateAnswers = (answers, questions, names = Object.keys(answers)) =>
+  questions
+    .filter(q => names.includes(q.name) && answers[q.name] !== undefined)
+    .reduce((errors, q) => {
+      const flag = `--${getFlagName(q.name)}`
+      const val = answers[q.name]
+
+      if (q.type === 'checkbox') {
+        const choices = typeof q.choices === 'function' ? q.choices(answers) : q.choices
+        const invalid = val.filter(v => !choices.includes(v))
+
+        if (invalid.length > 0) {
+          errors.push(`${flag}: invalid choice(s) ${invalid.join(', ')}. Choose from: ${choices.join(', ')}`)
+
+          return errors
+        }
+      }
+      const valid = q.validate ? q.validate(val, answers) : true
+
+      if (valid !== true) {
+        errors.push(`${flag}: ${valid || 'invalid value'}`)
+      }
+
+      return errors
+    }, [])
+
+/**
+ * Generates the help text describing the available command-line flags
+ *
+ * @param   {array}  questions An array of inquirer question objects
+ * @returns {string}           The usage instructions
+ */
+export const usage = questions => [
+  'Usage: npm -s start -- [options]',
+  '',
+  'Any question not answered with a flag will be asked interactively.',
+  '',
+  'Options:',
+  ...questions.map(q => {
+    const flag = getFlagName(q.name)
+
+    switch (q.type) {
+      case 'confirm':
+        return `  --${flag}, --no-${flag}\n      ${q.message}`
+      case 'checkbox':
+        return `  --${flag} <col>[,<col>...]\n      ${q.message} (or "None")`
+      default:
+        return `  --${flag} <${q.type === 'input' ? 'value' : q.type}>\n      ${q.message}`
+    }
+  }),
+  '  --seed <integer>\n      Seed the random number generators so the same seed produces the same data',
+  '  --workers <number>\n      Generate the values in this many worker threads (default: 0, i.e. in the main thread)',
+  '  --zip\n      Bundle the tables, colspec, manifest and answers into a single zip archive',
+  ...Object.entries(outputOptions).map(([key, { description, type }]) => {
+    const flag = getFlagName(key)
+    const arg = type === 'boolean' ? '' : ' <value>'
+
+    return `  --${flag}, --source-${flag}, --target-${flag}${arg}\n      ${description}`
+  }),
+  '  --profile <name>\n      Replay the answers saved in a profile (flags override its answers)',
+  '  --save-profile <name>\n      Save the answers to a profile after they have been collected',
+  '  --edit-profile <name>\n      Re-ask every question using the profile\'s answers as defaults and save the result',
+  '  -h, --help\n      Show this help',
+].join('\n')
@@ -0,0 +1,76 @@
+/**
+ * Column Specification Loader
+ * 
+ * Loads a column specification from a file chosen at runtime. The file may be
+ * an ES module whose default export is the colspec array (`.mjs` or `.js`), a
+ * JSON file (`.json`), or a YAML file (`.yaml` or `.yml`).
+ * 
+ * @module colspecLoader
+ */
+
+import { fileURLToPath, pathToFileURL } from 'url'
+import YAML from 'yaml'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * The colspec that is used when the user doesn't choose a different one
+ */
+export const defaultColspecFile = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'colspec.mjs')
+
+/**
+ * The file extensions of the colspec formats that can be loaded
+ */
+export const colspecExtensions = ['.mjs', '.js', '.json', '.yaml', '.yml']
+
+/**
+ * Checks whether a file exists and has the extension of a loadable colspec format
+ * 
+ * @param   {string}  file The path to the colspec file
+ * @returns {boolean}      Whether or not the file can be loaded
+ */
+export const isLoadableColspecFile = file =>
+  typeof file === 'string'
+  && colspecExtensions.includes(path.extname(file).toLowerCase())
+  && fs.existsSync(path.resolve(file))
+
+/**
+ * Loads the column specification stored in a file. Relative paths are resolved
+ * against the current working directory, except for the `file`s that columns
+ * read their values from, which are resolved against the colspec file's directory.
+ * 
+ * @param   {string}         file The path to the colspec file
+ * @returns {Promise<array>}      The array of column specifications
+ */
+export const loadColspec = async file => {
+  const absolutePath = path.resolve(file)
+  let colspec
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Column specification file does not exist: ${absolutePath}`)
+  }
+  switch (path.extname(absolutePath).toLowerCase()) {
+    case '.mjs':
+    case '.js':
+      colspec = (await import(pathToFileURL(absolutePath).href)).default
+      break
+    case '.json':
+      colspec = JSON.parse(fs.readFileSync(absolutePath, 'utf8'))
+      break
+    case '.yaml':
+    case '.yml':
+      colspec = YAML.parse(fs.readFileSync(absolutePath, 'utf8'))
+      break
+    default:
+      throw new Error(`Column specification files must be one of ${colspecExtensions.join(', ')}: ${absolutePath}`)
+  }
+
+  if (!Array.isArray(colspec)) {
+    throw new Error(`Column specification must be an array of column objects: ${absolutePath}`)
+  }
+
+  return colspec.map(col =>
+    (col && typeof col.file === 'string' && !path.isAbsolute(col.file)
+      ? { ...col, file: path.resolve(path.dirname(absolutePath), col.file) }
+      : col))
+}
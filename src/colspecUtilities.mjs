@@ -6,6 +6,7 @@
  * @module colspecUtilities
  */
 
+import { countRegexMatches } from './regexGenerator.mjs'
 import { pipe } from 'ramda'
 
 /**
@@ -56,6 +57,21 @@ export const getColsWithNameVariants = colspec => colspec.filter(col => col.vari
  */
 export const getDateCols = colspec => colspec.filter(col => col.cat === 'date')
 
+/**
+ * Filters a col spec to just the columns with text values, i.e. everything but dates,
+ * numbers, booleans, unique ids and sequences
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         An array of colspec objects that have text values
+ */
+export const getTextCols = colspec =>
+  colspec.filter(col =>
+    !['date', 'sequence', 'distribution'].includes(col.cat) &&
+    !(col.cat === 'datatype' && col.type === 'boolean') &&
+    !col.convert &&
+    !col.unique &&
+    !(col.dec > 0))
+
 /**
  * Filters a col spec to just the columns with lat/lon values
  * 
@@ -119,3 +135,254 @@ export const getDateColsChoices = (opts, colspec) => pipe(getSelectedCols, getDa
  * @returns {array}           The array of column names that contain lat/lon to change
  */
 export const getGeoColsChoices = (opts, colspec) => pipe(getSelectedCols, getGeoCols, getColNames, addNone)(opts, colspec)
+
+/**
+ * Returns an array of column names for columns containing text that are candidates for
+ * having values truncated in TARGET
+ * 
+ * @param   {boolean} opts    A boolean indicating whether optional columns should be included
+ * @param   {array}   colspec An array of objects representing column specifications
+ * @returns {array}           The array of column names that contain text to truncate
+ */
+export const getTextColsChoices = (opts, colspec) => pipe(getSelectedCols, getTextCols, getColNames, addNone)(opts, colspec)
+
+/**
+ * Filters a col spec to just the columns with a fixed `width`, other than the `unique`
+ * columns and sequences, which identify the rows
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         An array of colspec objects that have a fixed width
+ */
+export const getWidthCols = colspec =>
+  colspec.filter(col => col.width !== undefined && !col.unique && col.cat !== 'sequence')
+
+/**
+ * Returns an array of column names for columns with a fixed `width` that are candidates
+ * for having their longer values cut off at that width in TARGET
+ * 
+ * @param   {boolean} opts    A boolean indicating whether optional columns should be included
+ * @param   {array}   colspec An array of objects representing column specifications
+ * @returns {array}           The array of column names whose values can be cut to their width
+ */
+export const getWidthColsChoices = (opts, colspec) => pipe(getSelectedCols, getWidthCols, getColNames, addNone)(opts, colspec)
+
+/**
+ * Filters a col spec to just the columns that can have values left out, i.e. everything
+ * but the `unique` columns and sequences, which identify the rows
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         An array of colspec objects whose values can be left out
+ */
+export const getNullableCols = colspec => colspec.filter(col => !col.unique && col.cat !== 'sequence')
+
+/**
+ * Returns an array of column names for columns that are candidates for having some of
+ * their values made `null` in TARGET
+ * 
+ * @param   {boolean} opts    A boolean indicating whether optional columns should be included
+ * @param   {array}   colspec An array of objects representing column specifications
+ * @returns {array}           The array of column names whose values can be made null
+ */
+export const getNullableColsChoices = (opts, colspec) => pipe(getSelectedCols, getNullableCols, getColNames, addNone)(opts, colspec)
+
+/**
+ * The types of sequence columns whose values are numbered, so that TARGET can have gaps in
+ * their numbering or be renumbered
+ */
+export const numberedSequences = ['integer', 'padded', 'prefixed']
+
+/**
+ * Filters a col spec to just the sequence columns whose values are numbered
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         An array of colspec objects that have numbered sequences
+ */
+export const getSequenceCols = colspec =>
+  colspec.filter(col => col.cat === 'sequence' && numberedSequences.includes(col.type))
+
+/**
+ * Returns an array of column names for columns containing numbered sequences that are
+ * candidates for being renumbered in TARGET
+ * 
+ * @param   {boolean} opts    A boolean indicating whether optional columns should be included
+ * @param   {array}   colspec An array of objects representing column specifications
+ * @returns {array}           The array of column names whose sequences can be renumbered
+ */
+export const getSequenceColsChoices = (opts, colspec) => pipe(getSelectedCols, getSequenceCols, getColNames, addNone)(opts, colspec)
+
+/**
+ * The first value of a column whose `unique` values are a `sequence`, unless it has a `min`,
+ * and of a numbered sequence column, unless it has a `start`
+ */
+export const sequenceStart = 1
+
+/**
+ * Returns how the values of a column are made unique, if they have to be. `retry` (what
+ * `unique: true` means) generates values until one is found that hasn't been used yet,
+ * while `sequence` (consecutive integers), `uuid` and `shuffle` (the integers from `min`
+ * to `max` in a random order) produce unique values without any retries.
+ * 
+ * @param   {object} col The column specification
+ * @returns {string}     The strategy, or `undefined` if the values don't have to be unique
+ */
+export const getUniqueStrategy = col => (col.unique === true ? 'retry' : col.unique || undefined)
+
+/**
+ * The number of different values that faker functions with a limited range can produce,
+ * given the parameters in a column specification
+ */
+const valueSpaces = {
+  'datatype.boolean': () => 2,
+  'datatype.number': ({ opts, min = 0, max = min + 99999, precision = 1 }) =>
+    opts ? Math.floor((max - min) / precision) + 1 : Infinity,
+  'finance.amount': ({ min = 0, max = 1000, dec = 2 }) => Math.floor((max - min) * 10 ** dec) + 1,
+  'list.values': ({ values, weights }) => new Set(values.filter((_, i) => !weights || weights[i] > 0)).size,
+  // the ranks that are left once they have been clamped between `min` and `max`
+  'distribution.zipf': ({ n, min = 1, max = n }) => Math.max(0, Math.floor(Math.min(n, max)) - Math.ceil(Math.max(1, min)) + 1),
+  'pattern.regex': ({ pattern }) => countRegexMatches(pattern),
+  // the values are only known once the file has been read
+  'list.file': ({ values, weights }) =>
+    (values ? new Set(values.filter((_, i) => !weights || weights[i] > 0)).size : Infinity),
+}
+
+/**
+ * Returns how many different values can be generated for a column, which is the most
+ * rows that can have `unique` values in it. Columns whose values aren't known to be
+ * limited can have any number.
+ * 
+ * @param   {object} col The column specification
+ * @returns {number}     The number of different values, or `Infinity`
+ */
+export const getValueSpaceSize = col => {
+  const strategy = getUniqueStrategy(col)
+
+  if (strategy === 'sequence') {
+    return col.max === undefined ? Infinity : col.max - (col.min ?? sequenceStart) + 1
+  }
+  if (strategy === 'shuffle') {
+    return col.max - col.min + 1
+  }
+  const space = valueSpaces[`${col.cat}.${col.type}`]
+
+  return strategy !== 'uuid' && space ? space(col) : Infinity
+}
+
+/**
+ * The keys of a column specification that set how the column is written in some
+ * output formats (fixed-width and XML), rather than how its values are generated
+ */
+export const formatKeys = ['width', 'align', 'pad', 'xml']
+
+/**
+ * The keys of a column specification that describe the column itself, or where its values
+ * come from, and so can never be references to other columns
+ */
+export const nonReferenceKeys = [
+  'name',
+  'variants',
+  'cat',
+  'type',
+  'unique',
+  'file',
+  'column',
+  'weightColumn',
+  'pattern',
+  'template',
+  'prefix',
+  ...formatKeys,
+]
+
+/**
+ * Matches a placeholder in a template, e.g. `{{Sender Name}}` or `{{finance.account}}`,
+ * capturing what is inside the braces
+ */
+export const templatePlaceholder = /{{\s*(.+?)\s*}}/g
+
+/**
+ * Finds what is inside each of the placeholders in a template
+ * 
+ * @param   {string} template The template, e.g. `{{Sender Name}} ({{finance.account}})`
+ * @returns {array}           The placeholders, e.g. `['Sender Name', 'finance.account']`
+ */
+export const getTemplatePlaceholders = template => [...template.matchAll(templatePlaceholder)].map(([, inner]) => inner)
+
+/**
+ * Finds the parameters of a column specification that refer to other columns. A parameter
+ * refers to another column when its value is exactly that column's name, e.g.
+ * `refDate: 'Transaction Date'`. Such parameters are given the referenced column's value
+ * for the same row when the column is generated. A template column also refers to the
+ * columns named in its placeholders, as parameters named after the placeholders, e.g.
+ * `{{Sender Name}}`.
+ * 
+ * @param   {object} col     The column specification whose parameters are checked
+ * @param   {array}  colspec An array of objects representing column specifications
+ * @returns {object}         An object mapping parameter keys to referenced column names
+ */
+export const getColumnReferences = (col, colspec) => {
+  const colNames = getColNames(colspec)
+  const refs = Object.entries(col)
+    .filter(([key, val]) => !nonReferenceKeys.includes(key) && typeof val === 'string' && colNames.includes(val))
+    .reduce((found, [key, val]) => ({ ...found, [key]: val }), {})
+  const isTemplate = col.cat === 'pattern' && col.type === 'template' && typeof col.template === 'string'
+
+  return (isTemplate ? getTemplatePlaceholders(col.template) : [])
+    .filter(inner => colNames.includes(inner))
+    .reduce((found, name) => ({ ...found, [`{{${name}}}`]: name }), refs)
+}
+
+/**
+ * Finds a cycle of references between columns, e.g. A refers to B, which refers to A
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         The names of the columns in the cycle, starting and ending with
+ *                          the same column, or an empty array if there are no cycles
+ */
+export const findReferenceCycle = colspec => {
+  const colNames = getColNames(colspec)
+  const done = new Set()
+  const visit = (name, trail) => {
+    if (trail.includes(name)) {
+      return [...trail.slice(trail.indexOf(name)), name]
+    }
+    if (done.has(name)) {
+      return []
+    }
+    const col = colspec[colNames.indexOf(name)]
+    const cycle = Object.values(getColumnReferences(col, colspec))
+      .map(ref => visit(ref, [...trail, name]))
+      .find(c => c.length > 0)
+
+    done.add(name)
+
+    return cycle || []
+  }
+
+  return colNames.map(name => visit(name, [])).find(c => c.length > 0) || []
+}
+
+/**
+ * Returns the order in which columns have to be generated so that every column is
+ * generated after the columns it refers to. Columns are otherwise kept in their
+ * original order. Throws an error if the columns refer to each other in a cycle.
+ * 
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         The indices of the columns in the order they should be generated
+ */
+export const getGenerationOrder = colspec => {
+  const cycle = findReferenceCycle(colspec)
+
+  if (cycle.length > 0) {
+    throw new Error(`Columns refer to each other in a cycle: ${cycle.join(' -> ')}`)
+  }
+  const colNames = getColNames(colspec)
+  const visit = (order, i) => {
+    if (order.includes(i)) {
+      return order
+    }
+    const refs = Object.values(getColumnReferences(colspec[i], colspec)).map(ref => colNames.indexOf(ref))
+
+    return [...refs.reduce(visit, order), i]
+  }
+
+  return colspec.reduce((order, _, i) => visit(order, i), [])
+}
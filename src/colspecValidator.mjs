@@ -0,0 +1,258 @@
+/**
+ * Column Specification Validator
+ *
+ * Checks a column specification for mistakes before any test data is generated,
+ * so that a typo in a colspec file is reported clearly instead of surfacing as a
+ * failure deep inside value generation (or as a broken CSV file).
+ *
+ * @module colspecValidator
+ */
+
+import { columnKinds, getColumnKind } from './columnKinds.mjs'
+import { findReferenceCycle, getColumnReferences, getValueSpaceSize } from './colspecUtilities.mjs'
+import { faker } from '@faker-js/faker'
+import { pascalCase } from 'change-case'
+
+/**
+ * The keys that every column specification must have
+ */
+export const requiredKeys = ['name', 'cat', 'type']
+
+/**
+ * The keys that, when present, must have boolean values
+ */
+export const booleanKeys = ['opts', 'convert', 'optional']
+
+/**
+ * The keys that, when present, must have numeric values
+ */
+export const numericKeys = ['min', 'max']
+
+/**
+ * The ways, other than `true` (i.e. `retry`), that the values of a `unique` column can be
+ * made unique
+ */
+export const uniqueStrategies = ['retry', 'sequence', 'uuid', 'shuffle']
+
+/**
+ * The keys that, when present, must be the fraction (from 0 to 1) of a column's values
+ * that are left out
+ */
+export const rateKeys = ['nullRate', 'blankRate']
+
+/**
+ * The ways that values can be aligned within their field in fixed-width output
+ */
+export const alignments = ['left', 'right']
+
+/**
+ * The ways that a column can be written in XML output
+ */
+export const xmlNodeTypes = ['element', 'attribute']
+
+/**
+ * Builds the label used to identify a column in error messages
+ *
+ * @param   {object} col The column specification
+ * @param   {number} i   The index of the column in the colspec
+ * @returns {string}     The label, e.g. `Column 3 ("Transaction Amount")`
+ */
+const label = (col, i) =>
+  col && typeof col.name === 'string' && col.name !== '' ? `Column ${i} ("${col.name}")` : `Column ${i}`
+
+/**
+ * Checks a single column specification
+ *
+ * @param   {object} col      The column specification
+ * @param   {number} i        The index of the column in the colspec
+ * @param   {object} fkr      The faker instance whose generator functions are checked
+ * @param   {array}  colNames The names of all of the columns, which templates can refer to
+ * @returns {array}           An array of problems with the column, empty if it is valid
+ */
+export const validateColumn = (col, i, fkr = faker, colNames = []) => {
+  if (col === null || typeof col !== 'object' || Array.isArray(col)) {
+    return [`${label(col, i)}: must be an object`]
+  }
+  const problems = []
+  const isNum = val => typeof val === 'number' && !isNaN(val)
+
+  requiredKeys
+    .filter(key => typeof col[key] !== 'string' || col[key].trim() === '')
+    .forEach(key => problems.push(`${label(col, i)}: "${key}" is required and must be a non-empty string`))
+
+  if (typeof col.cat === 'string' && typeof col.type === 'string') {
+    if (Object.hasOwn(columnKinds, col.cat)) {
+      const kind = getColumnKind(col)
+
+      if (kind) {
+        kind.validate(col, colNames).forEach(problem => problems.push(`${label(col, i)}: ${problem}`))
+      } else {
+        const types = Object.keys(columnKinds[col.cat]).join(', ')
+
+        problems.push(`${label(col, i)}: "${col.type}" is not a type of "${col.cat}" column (${types})`)
+      }
+    } else if (!fkr[col.cat] || typeof fkr[col.cat] !== 'object') {
+      problems.push(`${label(col, i)}: "${col.cat}" is not a faker category`)
+    } else if (typeof fkr[col.cat][col.type] !== 'function') {
+      problems.push(`${label(col, i)}: "${col.type}" is not a faker function in the "${col.cat}" category`)
+    }
+  }
+
+  if (col.variants !== undefined) {
+    if (!Array.isArray(col.variants)) {
+      problems.push(`${label(col, i)}: "variants" must be an array of names`)
+    } else if (!col.variants.every(v => typeof v === 'string' && v.trim() !== '')) {
+      problems.push(`${label(col, i)}: every one of the "variants" must be a non-empty string`)
+    }
+  }
+
+  booleanKeys
+    .filter(key => col[key] !== undefined && typeof col[key] !== 'boolean')
+    .forEach(key => problems.push(`${label(col, i)}: "${key}" must be true or false`))
+
+  if (col.dec !== undefined && !(Number.isInteger(col.dec) && col.dec >= 0)) {
+    problems.push(`${label(col, i)}: "dec" must be a non-negative integer`)
+  }
+  numericKeys
+    .filter(key => col[key] !== undefined && !isNum(col[key]))
+    .forEach(key => problems.push(`${label(col, i)}: "${key}" must be a number`))
+
+  if (isNum(col.min) && isNum(col.max) && col.min > col.max) {
+    problems.push(`${label(col, i)}: "min" (${col.min}) must not be greater than "max" (${col.max})`)
+  }
+
+  if (col.unique !== undefined && typeof col.unique !== 'boolean' && !uniqueStrategies.includes(col.unique)) {
+    problems.push(`${label(col, i)}: "unique" must be true, false or one of ${uniqueStrategies.join(', ')}`)
+  }
+  if (col.maxRetries !== undefined && !(Number.isInteger(col.maxRetries) && col.maxRetries > 0)) {
+    problems.push(`${label(col, i)}: "maxRetries" must be a positive integer`)
+  }
+  if (col.unique === 'sequence' || col.unique === 'shuffle') {
+    // a sequence doesn't need a range, but a shuffled range does
+    ['min', 'max']
+      .filter(key => (col.unique === 'shuffle' || col[key] !== undefined) && !Number.isInteger(col[key]))
+      .forEach(key => problems.push(`${label(col, i)}: "${key}" must be an integer when "unique" is "${col.unique}"`))
+  }
+
+  const badRates = rateKeys.filter(key => col[key] !== undefined && !(isNum(col[key]) && col[key] >= 0 && col[key] <= 1))
+
+  badRates.forEach(key => problems.push(`${label(col, i)}: "${key}" must be a number from 0 to 1`))
+  if (badRates.length === 0 && (col.nullRate || 0) + (col.blankRate || 0) > 1) {
+    problems.push(`${label(col, i)}: "nullRate" and "blankRate" must not add up to more than 1`)
+  }
+  if (col.unique && rateKeys.some(key => col[key])) {
+    problems.push(`${label(col, i)}: a "unique" column can't have values left out with "nullRate" or "blankRate"`)
+  }
+
+  if (col.width !== undefined && !(Number.isInteger(col.width) && col.width > 0)) {
+    problems.push(`${label(col, i)}: "width" must be a positive integer`)
+  }
+  if (col.align !== undefined && !alignments.includes(col.align)) {
+    problems.push(`${label(col, i)}: "align" must be one of ${alignments.join(', ')}`)
+  }
+  if (col.pad !== undefined && !(typeof col.pad === 'string' && col.pad.length === 1)) {
+    problems.push(`${label(col, i)}: "pad" must be a single character`)
+  }
+  if (col.xml !== undefined && !xmlNodeTypes.includes(col.xml)) {
+    problems.push(`${label(col, i)}: "xml" must be one of ${xmlNodeTypes.join(', ')}`)
+  }
+
+  return problems
+}
+
+/**
+ * Checks every column in a column specification, and also that no two columns end up
+ * with the same header once their names have been converted to PascalCase, that columns
+ * don't refer to each other in a cycle, and that required columns don't refer to
+ * optional columns (which might not be generated).
+ *
+ * @param   {array}  colspec An array of objects representing column specifications
+ * @param   {object} fkr     The faker instance whose generator functions are checked
+ * @returns {array}          An array of all of the problems found, empty if it is valid
+ */
+export const validateColspec = (colspec, fkr = faker) => {
+  if (!Array.isArray(colspec) || colspec.length === 0) {
+    return ['The column specification must be a non-empty array of columns']
+  }
+  const colNames = colspec.map(col => (col && typeof col.name === 'string' ? col.name : undefined))
+  const problems = colspec.flatMap((col, i) => validateColumn(col, i, fkr, colNames))
+  const headers = colspec.map(col => (col && typeof col.name === 'string' ? pascalCase(col.name) : undefined))
+
+  headers.forEach((header, i) => {
+    const first = headers.indexOf(header)
+
+    if (header !== undefined && first !== i) {
+      problems.push(`${label(colspec[i], i)}: header "${header}" duplicates ${label(colspec[first], first)}`)
+    }
+  })
+
+  if (problems.length > 0) {
+    // references can only be checked once every column is known to be well-formed
+    return problems
+  }
+  const cycle = findReferenceCycle(colspec)
+
+  if (cycle.length > 0) {
+    problems.push(`Columns refer to each other in a cycle: ${cycle.join(' -> ')}`)
+  }
+  colspec.forEach((col, i) => {
+    Object.entries(getColumnReferences(col, colspec))
+      .filter(([, ref]) => !col.optional && colspec.find(c => c.name === ref).optional)
+      .forEach(([key, ref]) => {
+        problems.push(`${label(col, i)}: "${key}" refers to optional column "${ref}" but this column is required`)
+      })
+  })
+
+  return problems
+}
+
+/**
+ * Validates a column specification and throws an error listing every problem found
+ *
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         The same colspec, if it is valid
+ */
+export const assertValidColspec = colspec => {
+  const problems = validateColspec(colspec)
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid column specification:\n${problems.join('\n')}`)
+  }
+
+  return colspec
+}
+
+/**
+ * Checks that every `unique` column that will be generated can have as many different
+ * values as there will be rows, since otherwise generating its values would fail part of
+ * the way through
+ *
+ * @param   {array}   colspec         An array of objects representing column specifications
+ * @param   {number}  rowCount        The number of rows that will be generated
+ * @param   {boolean} includeOptional Whether the optional columns will be generated
+ * @returns {array}                   An array of the columns that are too small, empty if none are
+ */
+export const checkUniqueCapacity = (colspec, rowCount, includeOptional = true) =>
+  colspec
+    .map((col, i) => [col, i, getValueSpaceSize(col)])
+    .filter(([col, , size]) => col.unique && (includeOptional || !col.optional) && size < rowCount)
+    .map(([col, i, size]) => `${label(col, i)}: ${rowCount} unique values are needed but only ${size} can be generated`)
+
+/**
+ * Checks that the `unique` columns have room for the number of rows that will be
+ * generated and throws an error listing every column that doesn't
+ *
+ * @param   {array}   colspec         An array of objects representing column specifications
+ * @param   {number}  rowCount        The number of rows that will be generated
+ * @param   {boolean} includeOptional Whether the optional columns will be generated
+ * @returns {array}                   The same colspec, if every column has room
+ */
+export const assertUniqueCapacity = (colspec, rowCount, includeOptional = true) => {
+  const problems = checkUniqueCapacity(colspec, rowCount, includeOptional)
+
+  if (problems.length > 0) {
+    throw new Error(`Not enough unique values:\n${problems.join('\n')}`)
+  }
+
+  return colspec
+}
@@ -0,0 +1,545 @@
+/**
+ * Column Kinds
+ *
+ * Kinds of columns whose values don't come from a faker function. A column of
+ * one of these kinds has the kind's category as its `cat` and one of the
+ * category's types as its `type`, e.g. `{ cat: 'list', type: 'values', ... }`.
+ * Each type has a `generate` function, which is given the column's parameters
+ * as an object (as if the column had `opts: true`) and the position of the row
+ * in the table, and returns a single value, and a `validate` function, which
+ * returns the problems with a column's parameters (given the names of all of
+ * the columns). A type may also have a `prepare` function, which is run once
+ * before any values are generated, e.g. to read a file. Random choices are
+ * made with faker's generator, so that seeded runs are reproducible.
+ *
+ * @module columnKinds
+ */
+
+import { generateFromRegex, parseRegex } from './regexGenerator.mjs'
+import { getTemplatePlaceholders, sequenceStart, templatePlaceholder } from './colspecUtilities.mjs'
+import { faker } from '@faker-js/faker'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Returns a random number in [0, 1) drawn from faker's seeded generator
+ *
+ * @returns {number} The random number
+ */
+export const randomFraction = () => faker.mersenne.rand(4294967296) / 4294967296
+
+// the running totals of each list of weights, worked out once per list
+const cumulativeWeights = new WeakMap()
+
+/**
+ * Chooses an index into a list of weights at random, in proportion to the weights
+ *
+ * @param   {array}  weights The weights, at least one of which is greater than 0
+ * @returns {number}         The chosen index
+ */
+const chooseIndex = weights => {
+  if (!cumulativeWeights.has(weights)) {
+    let total = 0
+
+    cumulativeWeights.set(weights, weights.map(weight => (total += weight)))
+  }
+  const totals = cumulativeWeights.get(weights)
+  const target = randomFraction() * totals[totals.length - 1]
+  // the first value whose running total is greater than the target
+  const search = (low, high) => {
+    if (low === high) {
+      return low
+    }
+    const mid = Math.floor((low + high) / 2)
+
+    return totals[mid] > target ? search(low, mid) : search(mid + 1, high)
+  }
+
+  return search(0, totals.length - 1)
+}
+
+/**
+ * Chooses one of a list of values at random. With `weights`, each value is chosen in
+ * proportion to its weight, e.g. weights of `[3, 1]` choose the first value three times
+ * as often as the second, otherwise every value is equally likely.
+ *
+ * @param   {array} values  The values to choose from
+ * @param   {array} weights The weight of each value, if they aren't equally likely
+ * @returns {*}             The chosen value
+ */
+export const chooseWeighted = (values, weights) =>
+  values[weights ? chooseIndex(weights) : Math.floor(randomFraction() * values.length)]
+
+/**
+ * Returns the natural logarithm of the gamma function, using the Lanczos approximation
+ *
+ * @param   {number} x A positive number
+ * @returns {number}   ln(Γ(x))
+ */
+const logGamma = x => {
+  const g = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ]
+  const t = x + 6.5
+  const sum = g.slice(1).reduce((total, c, i) => total + c / (x + i), g[0])
+
+  return 0.5 * Math.log(2 * Math.PI) + (x - 0.5) * Math.log(t) - t + Math.log(sum)
+}
+
+/**
+ * Draws a number from the standard normal distribution (mean 0, standard deviation 1),
+ * using the Box-Muller transform
+ *
+ * @returns {number} The number
+ */
+const standardNormal = () =>
+  Math.sqrt(-2 * Math.log(1 - randomFraction())) * Math.cos(2 * Math.PI * randomFraction())
+
+/**
+ * Draws a count from the Poisson distribution with a mean of `lambda`. Small means
+ * multiply uniform numbers together (Knuth's method), while larger ones, for which that
+ * would take too long, use Hörmann's transformed rejection (PTRS).
+ *
+ * @param   {number} lambda The mean
+ * @returns {number}        The count
+ */
+const poisson = lambda => {
+  if (lambda < 30) {
+    const limit = Math.exp(-lambda)
+    let k = 0
+    let p = randomFraction()
+
+    while (p > limit) {
+      k += 1
+      p *= randomFraction()
+    }
+
+    return k
+  }
+  const b = 0.931 + 2.53 * Math.sqrt(lambda)
+  const a = -0.059 + 0.02483 * b
+  const alpha = 1.1239 + 1.1328 / (b - 3.4)
+  const vr = 0.9277 - 3.6224 / (b - 2)
+  const attempt = () => {
+    const u = randomFraction() - 0.5
+    const v = randomFraction()
+    const us = 0.5 - Math.abs(u)
+    const k = Math.floor((2 * a / us + b) * u + lambda + 0.43)
+
+    if (us >= 0.07 && v <= vr) {
+      return k
+    }
+    if (k < 0 || (us < 0.013 && v > us)) {
+      return attempt()
+    }
+    const accept = Math.log(v * alpha / (a / (us * us) + b)) <= -lambda + k * Math.log(lambda) - logGamma(k + 1)
+
+    return accept ? k : attempt()
+  }
+
+  return attempt()
+}
+
+// the weights of the ranks of each Zipf distribution, worked out once per distribution
+const zipfWeights = new Map()
+
+/**
+ * Draws a rank from 1 to `n` from the Zipf distribution with exponent `s`, in which the
+ * rank k is drawn in proportion to 1 / k^s
+ *
+ * @param   {number} n The number of ranks
+ * @param   {number} s The exponent
+ * @returns {number}   The rank
+ */
+const zipf = (n, s) => {
+  const key = `${n} ${s}`
+
+  if (!zipfWeights.has(key)) {
+    zipfWeights.set(key, Array.from({ length: n }, (_, k) => 1 / (k + 1) ** s))
+  }
+
+  return chooseIndex(zipfWeights.get(key)) + 1
+}
+
+/**
+ * The checks that the parameters of a distribution must pass
+ */
+const paramChecks = {
+  number: { test: val => typeof val === 'number' && isFinite(val), description: 'a number' },
+  positive: { test: val => typeof val === 'number' && isFinite(val) && val > 0, description: 'a positive number' },
+  count: { test: val => Number.isInteger(val) && val > 0, description: 'a positive integer' },
+  integer: { test: val => Number.isInteger(val), description: 'an integer' },
+  step: { test: val => Number.isInteger(val) && val !== 0, description: 'a non-zero integer' },
+  text: { test: val => typeof val === 'string', description: 'a string' },
+}
+
+/**
+ * Builds the `validate` function of a kind of column from the checks its parameters
+ * must pass
+ *
+ * @param   {object}   params   The name of each parameter and which of the `paramChecks`
+ *                              it must pass
+ * @param   {array}    required The names of the parameters that must be given
+ * @returns {Function}          Returns the problems with a column's parameters
+ */
+const checkParams = (params, required = []) => col => [
+  ...required.filter(key => col[key] === undefined).map(key => `"${key}" is required`),
+  ...Object.entries(params)
+    .filter(([key, check]) => col[key] !== undefined && !paramChecks[check].test(col[key]))
+    .map(([key, check]) => `"${key}" must be ${paramChecks[check].description}`),
+]
+
+/**
+ * Builds a kind of column whose values are drawn from a distribution, then clamped
+ * between the column's `min` and `max` (if it has them), and rounded to its `dec`
+ * decimal places (if it has them)
+ *
+ * @param   {Function} sample   Draws a number from the distribution, given the parameters
+ * @param   {object}   params   The name of each parameter of the distribution and which of
+ *                              the `paramChecks` it must pass
+ * @param   {array}    required The names of the parameters that must be given
+ * @returns {object}            The kind of column
+ */
+const distribution = (sample, params, required = []) => ({
+  validate: checkParams(params, required),
+  generate: col => {
+    const { min = -Infinity, max = Infinity, dec } = col
+    const val = Math.min(max, Math.max(min, sample(col)))
+
+    // adding 0 turns -0 into 0
+    return dec === undefined ? val : Number(val.toFixed(dec)) + 0
+  },
+})
+
+/**
+ * Pads a number with leading zeros to at least `digits` digits, e.g. `000042`
+ *
+ * @param   {number} num    The number
+ * @param   {number} digits The least number of digits
+ * @returns {string}        The padded number
+ */
+const padNumber = (num, digits = 1) => `${num < 0 ? '-' : ''}${String(Math.abs(num)).padStart(digits, '0')}`
+
+/**
+ * Builds a kind of column whose values are numbered in order by the position of the row,
+ * from `start` (1 by default) in steps of `step` (1 by default), and then formatted
+ *
+ * @param   {Function} format   Formats a number, given the column's parameters and the number
+ * @param   {object}   params   The name of each other parameter and which of the
+ *                              `paramChecks` it must pass
+ * @param   {array}    required The names of the parameters that must be given
+ * @returns {object}            The kind of column
+ */
+const numbered = (format, params = {}, required = []) => ({
+  validate: checkParams({ start: 'integer', step: 'step', ...params }, required),
+  generate: (col, position) => {
+    const { start = sequenceStart, step = 1 } = col
+
+    return format(col, start + step * position)
+  },
+})
+
+const hexDigits = '0123456789abcdef'
+// Crockford's base 32, which leaves out I, L, O and U
+const base32Digits = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+
+/**
+ * Draws random digits from faker's seeded generator
+ *
+ * @param   {string} digits The digits to choose from
+ * @param   {number} length The number of digits to draw
+ * @returns {string}        The random digits
+ */
+const randomDigits = (digits, length) =>
+  Array.from({ length }, () => digits[Math.floor(randomFraction() * digits.length)]).join('')
+
+/**
+ * Builds a kind of column whose values start with a timestamp, so that they sort in the
+ * order of the rows. The first row's timestamp is `refDate` (the time of the run by
+ * default), and each row after it is a millisecond later.
+ *
+ * @param   {Function} format Formats a value, given its timestamp in milliseconds
+ * @returns {object}          The kind of column
+ */
+const timestamped = format => ({
+  validate: ({ refDate }) => (refDate !== undefined && new Date(refDate).getTime() < 0
+    ? ['"refDate" must not be before 1970']
+    : []),
+  // 'now' is replaced with the time of the run, so that seeded runs are reproducible
+  prepare: col => ({ refDate: 'now', ...col }),
+  generate: ({ refDate }, position) => {
+    const time = new Date(refDate).getTime()
+
+    return format((isNaN(time) ? Date.now() : time) + position)
+  },
+})
+
+/**
+ * Formats a version 7 UUID, which is a 48-bit timestamp followed by random bits
+ *
+ * @param   {number} time The timestamp in milliseconds
+ * @returns {string}      The UUID
+ */
+const uuidv7 = time => {
+  const hex = time.toString(16).padStart(12, '0')
+  const random = randomDigits(hexDigits, 18)
+
+  // the version is 7, and the variant's first bits are 10, i.e. 8, 9, a or b
+  return `${hex.slice(0, 8)}-${hex.slice(8)}-7${random.slice(0, 3)}-${randomDigits('89ab', 1)}${random.slice(3, 6)}-${random.slice(6)}`
+}
+
+/**
+ * Formats a ULID, which is a 48-bit timestamp in 10 base 32 digits followed by 16 random
+ * base 32 digits
+ *
+ * @param   {number} time The timestamp in milliseconds
+ * @returns {string}      The ULID
+ */
+const ulid = time => {
+  const stamp = Array.from({ length: 10 }, (_, i) => base32Digits[Math.floor(time / 32 ** (9 - i)) % 32]).join('')
+
+  return `${stamp}${randomDigits(base32Digits, 16)}`
+}
+
+/**
+ * Parses CSV text into rows of fields. Fields may be quoted, with quotes inside them
+ * doubled, and rows may end with CRLF or LF.
+ *
+ * @param   {string} text The CSV text
+ * @returns {array}       An array of rows, each an array of field strings
+ */
+export const parseCsv = text => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i]
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1
+      }
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+/**
+ * Reads a list of values from a file. A `.csv` file has a header row, and the values are
+ * taken from its `column` (the first one by default) and their weights, if any, from its
+ * `weightColumn`. Any other file has one value per line. Blank lines are skipped.
+ *
+ * @param   {object} col The column specification, with the path to the `file`
+ * @returns {object}     The `values` and, if the file has them, their `weights`
+ */
+export const readValueList = ({ file, column, weightColumn }) => {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\ufeff/, '')
+
+  if (path.extname(file).toLowerCase() !== '.csv') {
+    return { values: text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '') }
+  }
+  const [headers = [], ...rows] = parseCsv(text).filter(row => row.some(val => val.trim() !== ''))
+  const indexOf = header => {
+    const i = headers.indexOf(header)
+
+    if (i === -1) {
+      throw new Error(`"${header}" is not a column of ${file}`)
+    }
+
+    return i
+  }
+  const v = column === undefined ? 0 : indexOf(column)
+  const w = weightColumn === undefined ? -1 : indexOf(weightColumn)
+
+  return {
+    values: rows.map(row => row[v]),
+    ...(w === -1 ? {} : { weights: rows.map(row => (row[w] === undefined || row[w].trim() === '' ? NaN : Number(row[w]))) }),
+  }
+}
+
+/**
+ * Checks a list of values and their weights
+ *
+ * @param   {object} list The `values` and their `weights`, if any
+ * @returns {array}       An array of problems with the list, empty if it is valid
+ */
+const checkList = ({ values, weights }) => {
+  if (!Array.isArray(values) || values.length === 0) {
+    return ['"values" must be a non-empty array']
+  }
+  if (weights === undefined) {
+    return []
+  }
+  if (!Array.isArray(weights) || weights.length !== values.length) {
+    return ['"weights" must be an array with a weight for each of the values']
+  }
+  if (!weights.every(weight => typeof weight === 'number' && weight >= 0 && isFinite(weight))) {
+    return ['every one of the "weights" must be a non-negative number']
+  }
+
+  return weights.some(weight => weight > 0) ? [] : ['at least one of the "weights" must be greater than 0']
+}
+
+/**
+ * Checks whether a template placeholder calls a faker function, e.g. `finance.account`
+ * or `datatype.number({ "max": 9 })`
+ *
+ * @param   {string}  inner What is inside the placeholder's braces
+ * @returns {boolean}       Whether or not it calls a faker function
+ */
+const isFakerCall = inner => {
+  const [, cat, type] = inner.match(/^(\w+)\.(\w+)(?:\(.*\))?$/s) || []
+
+  return Boolean(cat) && Boolean(faker[cat]) && typeof faker[cat][type] === 'function'
+}
+
+/**
+ * Every kind of column, by category and then type
+ */
+export const columnKinds = {
+  list: {
+    // values listed in the colspec, e.g. `values: ['Checking', 'Savings'], weights: [4, 1]`
+    values: {
+      validate: checkList,
+      generate: ({ values, weights }) => chooseWeighted(values, weights),
+    },
+    // values listed in a file, e.g. `file: 'currencies.csv', column: 'Code', weightColumn: 'Share'`
+    file: {
+      validate: col => {
+        if (typeof col.file !== 'string' || col.file.trim() === '') {
+          return ['"file" must be the path to a text or CSV file']
+        }
+        if (!fs.existsSync(col.file)) {
+          return [`"file" does not exist: ${col.file}`]
+        }
+        try {
+          return checkList({ ...col, ...readValueList(col) }).map(problem => `${problem} (from ${col.file})`)
+        } catch (e) {
+          return [e.message]
+        }
+      },
+      prepare: col => ({ ...col, ...readValueList(col) }),
+      generate: ({ values, weights }) => chooseWeighted(values, weights),
+    },
+  },
+  distribution: {
+    normal: distribution(({ mean = 0, sd = 1 }) => mean + sd * standardNormal(), { mean: 'number', sd: 'positive' }),
+    // the logarithms of the values are normally distributed with a mean of `mu`
+    lognormal: distribution(({ mu = 0, sigma = 1 }) => Math.exp(mu + sigma * standardNormal()), { mu: 'number', sigma: 'positive' }),
+    exponential: distribution(({ rate = 1 }) => -Math.log(1 - randomFraction()) / rate, { rate: 'positive' }),
+    poisson: distribution(({ lambda = 1 }) => poisson(lambda), { lambda: 'positive' }),
+    zipf: distribution(({ n, s = 1 }) => zipf(n, s), { n: 'count', s: 'positive' }, ['n']),
+  },
+  sequence: {
+    // 1, 2, 3, ... or e.g. `start: 1000, step: 10`
+    integer: numbered((col, num) => num),
+    // e.g. `digits: 6` for 000001, 000002, ...
+    padded: numbered(({ digits }, num) => padNumber(num, digits), { digits: 'count' }, ['digits']),
+    // e.g. `prefix: 'INV-', digits: 5` for INV-00001, INV-00002, ...
+    prefixed: numbered(({ prefix, digits }, num) => `${prefix}${padNumber(num, digits)}`, { prefix: 'text', digits: 'count' }, ['prefix']),
+    uuidv4: {
+      validate: () => [],
+      generate: () => faker.datatype.uuid(),
+    },
+    uuidv7: timestamped(uuidv7),
+    ulid: timestamped(ulid),
+  },
+  pattern: {
+    // strings that match a regular expression, e.g. `pattern: 'ACC-[A-Z]{3}-\\d{6}'`
+    regex: {
+      validate: ({ pattern }) => {
+        if (typeof pattern !== 'string' || pattern === '') {
+          return ['"pattern" must be a non-empty regular expression']
+        }
+        try {
+          RegExp(pattern)
+          parseRegex(pattern)
+
+          return []
+        } catch (e) {
+          return [`"pattern" can't be generated from: ${e.message}`]
+        }
+      },
+      generate: ({ pattern }) => generateFromRegex(pattern, randomFraction),
+    },
+    // literals combined with other columns' values and faker calls, e.g.
+    // `template: '{{Sender Name}} <{{internet.email}}>'`
+    template: {
+      validate: ({ template }, colNames = []) => {
+        if (typeof template !== 'string' || template === '') {
+          return ['"template" must be a non-empty string']
+        }
+
+        return getTemplatePlaceholders(template)
+          .filter(inner => !colNames.includes(inner) && !isFakerCall(inner))
+          .map(inner => `"{{${inner}}}" in "template" is neither a column nor a faker function`)
+      },
+      // referenced columns are given as the parameters named after their placeholders
+      generate: params => params.template.replace(templatePlaceholder, (_, inner) => {
+        const key = `{{${inner}}}`
+
+        if (!Object.hasOwn(params, key)) {
+          return faker.helpers.fake(key)
+        }
+        if (params[key] === null || params[key] === undefined) {
+          return ''
+        }
+
+        return params[key] instanceof Date ? params[key].toISOString() : String(params[key])
+      }),
+    },
+  },
+}
+
+/**
+ * Finds the kind of a column, unless its values come from a faker function
+ *
+ * @param   {object} col The column specification
+ * @returns {object}     The column's kind, or `undefined` if it isn't one of `columnKinds`
+ */
+export const getColumnKind = col =>
+  Object.hasOwn(columnKinds, col.cat) && Object.hasOwn(columnKinds[col.cat], col.type)
+    ? columnKinds[col.cat][col.type]
+    : undefined
+
+/**
+ * Prepares a column for generating values, if its kind needs to, e.g. by reading the list
+ * of values from its file
+ *
+ * @param   {object} col The column specification
+ * @returns {object}     The column specification, ready for generating values
+ */
+export const prepareColumn = col => {
+  const kind = getColumnKind(col)
+
+  return kind && kind.prepare ? kind.prepare(col) : col
+}
@@ -0,0 +1,126 @@
+/**
+ * File Writer
+ *
+ * Writes the files produced by `generateFiles()` to disk. A file's content
+ * can be text, a Buffer, or an iterable of chunks, which is streamed to disk
+ * rather than being joined first. Files marked with `gzip` are compressed as
+ * they are written, and a file with `entries` is written as a zip archive
+ * containing those files.
+ *
+ * @module fileWriter
+ */
+
+import { createWriteStream, promises as fs } from 'fs'
+import { Readable } from 'stream'
+import { ZipArchive } from 'archiver'
+import { createGzip } from 'zlib'
+import path from 'path'
+import { pipeline } from 'stream/promises'
+
+/**
+ * Turns the content of a file into a readable stream, compressed with gzip if the
+ * file is marked with `gzip`
+ *
+ * @param   {object}   file The file, with its `content` and whether to `gzip` it
+ * @returns {Readable}      The stream of the (compressed) content
+ */
+export const toReadable = ({ content, gzip }) => {
+  // strings and Buffers are streamed whole, anything else is an iterable of chunks
+  const stream = Readable.from(typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content)
+
+  if (!gzip) {
+    return stream
+  }
+  const gzipped = createGzip()
+
+  // otherwise a failure while producing the content would leave the file unfinished
+  stream.on('error', error => gzipped.destroy(error))
+
+  return stream.pipe(gzipped)
+}
+
+/**
+ * Writes a zip archive containing the archive file's `entries`, each named after the
+ * last part of its path. The entries are written to disk first, since they may all be
+ * produced from the same chunks, and are removed once they have been archived.
+ *
+ * @param   {object}  file The archive file, with its `path` and `entries`
+ * @returns {Promise}      Resolves once the archive has been written
+ */
+export const writeZip = async ({ path: zipPath, entries }) => {
+  const paths = await writeFiles(entries)
+  const archive = new ZipArchive({ zlib: { level: 9 } })
+  const written = pipeline(archive, createWriteStream(zipPath))
+
+  try {
+    paths.forEach(entryPath => archive.file(entryPath, { name: path.basename(entryPath) }))
+    await archive.finalize()
+    await written
+  } finally {
+    await removeFiles(paths)
+  }
+}
+
+/**
+ * Stops reading the content of a file that is an iterable of chunks, so that other files
+ * whose content comes from the same chunks (see `teeChunks()`) don't wait for it
+ *
+ * @param   {*}       content The content of the file
+ * @returns {Promise}         Resolves once the content has been stopped
+ */
+const stopContent = async content => {
+  if (content && typeof content !== 'string' && !Buffer.isBuffer(content) && content[Symbol.asyncIterator]) {
+    const iterator = content[Symbol.asyncIterator]()
+
+    await (iterator.return && iterator.return())
+  }
+}
+
+/**
+ * Writes a file to disk, creating its directory if needed
+ *
+ * @param   {object}  file The file, with its `path` and either `content` or zip `entries`
+ * @returns {Promise}      Resolves once the file has been written
+ */
+export const writeFile = async file => {
+  try {
+    await fs.mkdir(path.dirname(file.path), { recursive: true })
+
+    return await (file.entries ? writeZip(file) : pipeline(toReadable(file), createWriteStream(file.path)))
+  } catch (error) {
+    await stopContent(file.content)
+    throw error
+  }
+}
+
+/**
+ * Removes files, ignoring any that couldn't be written in the first place
+ *
+ * @param   {array}   paths The paths of the files
+ * @returns {Promise}       Resolves once the files have been removed
+ */
+const removeFiles = paths => Promise.all(paths.map(filePath => fs.rm(filePath, { force: true }).catch(() => null)))
+
+/**
+ * Writes every file produced by `generateFiles()` to disk. The files are written at the
+ * same time, since the content of several of them may be produced from the same chunks
+ * of a run as they are generated. Since the chunks are only generated as the files are
+ * written, this is also where generating them fails, e.g. when a `unique` column runs
+ * out of values. If any file can't be written, every file is removed, so that no partly
+ * written files are left behind, and the first error is thrown.
+ *
+ * @param   {object}  files The files, keyed by what they hold, e.g. `source`
+ * @returns {Promise}       Resolves to the paths of the files that were written
+ */
+export const writeFiles = async files => {
+  const paths = Object.values(files).map(file => file.path)
+  const results = await Promise.allSettled(Object.values(files).map(writeFile))
+  const failed = results.find(({ status }) => status === 'rejected')
+
+  if (failed) {
+    await removeFiles(paths)
+    throw failed.reason
+  }
+
+  return paths
+}
@@ -0,0 +1,120 @@
+/**
+ * Fixed-Width Writer
+ *
+ * Writes a generated table as a fixed-width text file, where every field of a
+ * record takes up the same number of characters. The width, alignment and
+ * padding of a column can be set in its colspec with `width`, `align` and `pad`.
+ * Otherwise the column is as wide as its longest value, numbers are aligned
+ * right and everything else left, and fields are padded with spaces. A field is
+ * widened to fit any value that is longer than its `width`, so no value is ever
+ * cut off here (cutting values off at their width is a mangle of TARGET). A COBOL
+ * copybook describing the layout of the records can be written as well.
+ *
+ * @module fixedWidthWriter
+ */
+
+import { paramCase } from 'change-case'
+
+/**
+ * Converts a value into the text of a fixed-width field, before padding
+ *
+ * @param   {*}      val The value to be converted
+ * @returns {string}     The text of the field
+ */
+export const formatFixedWidthValue = val => {
+  if (val === null || val === undefined) {
+    return ''
+  }
+
+  return val instanceof Date ? val.toISOString() : String(val)
+}
+
+/**
+ * Works out the layout of the records of a table: the name, 1-based `start` position,
+ * `width`, `align`ment and `pad` character of each field. A field is as wide as the
+ * column's `width` or its longest value, whichever is wider.
+ *
+ * @param   {array} tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {array} columns    The colspecs of the columns, in header order
+ * @returns {array}            The layout of each field
+ */
+export const getFixedWidthLayout = ([headers, ...rows], columns = []) =>
+  headers.reduce((layout, name, i) => {
+    const col = columns[i] || {}
+    const values = rows.map(row => row[i])
+    // spreading every value into Math.max() would overflow the stack for large tables
+    const width = values.reduce((widest, val) => Math.max(widest, formatFixedWidthValue(val).length), col.width || 1)
+    const numeric = values.length > 0 && values.every(val => typeof val === 'number')
+    const prev = layout[layout.length - 1]
+
+    return [...layout, {
+      name,
+      start: prev ? prev.start + prev.width : 1,
+      width,
+      align: col.align || (numeric ? 'right' : 'left'),
+      pad: col.pad || ' ',
+    }]
+  }, [])
+
+/**
+ * Fits a value into a fixed-width field by padding it if it is too short
+ *
+ * @param   {*}      val   The value
+ * @param   {object} field The `width`, `align`ment and `pad` character of the field,
+ *                         which is at least as wide as the value
+ * @returns {string}       The text of the field, exactly `width` characters long
+ */
+export const fitFixedWidthValue = (val, { width, align, pad }) => {
+  const text = formatFixedWidthValue(val)
+
+  return align === 'right' ? text.padStart(width, pad) : text.padEnd(width, pad)
+}
+
+/**
+ * Takes a 2D array (array of rows) and converts it into fixed-width records, one per
+ * row. The header row isn't written, since the field names are in the layout.
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `columns` (colspecs in header order) and `newline` (line terminator)
+ * @returns {string}            The fixed-width records
+ */
+export const convertToFixedWidth = (tableArray, { columns, newline = '\r\n' } = {}) => {
+  const layout = getFixedWidthLayout(tableArray, columns)
+
+  return tableArray
+    .slice(1)
+    .map(row => `${layout.map((field, i) => fitFixedWidthValue(row[i], field)).join('')}${newline}`)
+    .join('')
+}
+
+/**
+ * Converts a header into a COBOL data name: upper case words separated by hyphens,
+ * at most 30 characters long
+ *
+ * @param   {string} name The header
+ * @returns {string}      The COBOL data name
+ */
+export const toCobolName = name => paramCase(name).toUpperCase().slice(0, 30).replace(/-+$/, '') || 'FILLER'
+
+/**
+ * Describes the layout of the fixed-width records of a table as a COBOL copybook,
+ * with every field as alphanumeric (`PIC X`) since that is how it is written
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `table` name and `columns` (colspecs in header order)
+ * @returns {string}            The copybook
+ */
+export const convertToCopybook = (tableArray, { table = 'data', columns } = {}) => {
+  const layout = getFixedWidthLayout(tableArray, columns)
+  const length = layout.reduce((sum, { width }) => sum + width, 0)
+
+  return [
+    `      * ${table}: ${layout.length} fields, ${length} characters per record`,
+    `       01  ${toCobolName(`${table} record`)}.`,
+    ...layout.flatMap(({ name, start, width }) => [
+      `      * ${name}: positions ${start}-${start + width - 1}`,
+      `           05  ${toCobolName(name).padEnd(30)} PIC X(${width}).`,
+    ]),
+    '',
+  ].join('\n')
+}
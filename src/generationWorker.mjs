@@ -0,0 +1,20 @@
+/**
+ * Generation Worker
+ *
+ * The script run by each worker thread when values are generated in workers
+ * (see `generateStream()`). It is given the run's plan as its `workerData`
+ * and generates the values of each chunk it is sent.
+ *
+ * @module generationWorker
+ */
+
+import { parentPort, workerData } from 'worker_threads'
+import { generateChunk } from './generators.mjs'
+
+parentPort.on('message', ({ id, task }) => {
+  try {
+    parentPort.postMessage({ id, result: generateChunk(workerData, task) })
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message })
+  }
+})
@@ -1,26 +1,114 @@
 /**
  * Utility functions used to generate the test data.
  * 
+ * Every function that involves chance accepts an optional `random` function
+ * as its last parameter. It should behave like `Math.random()` (which is the
+ * default), and passing one created by `createRandom()` with a fixed seed
+ * makes the results reproducible.
+ * 
  * @module generatorUtilities
  */
 
+import { convertToCopybook, convertToFixedWidth } from './fixedWidthWriter.mjs'
 import { pascalCase, snakeCase } from 'change-case'
+import { convertToParquet } from './parquetWriter.mjs'
+import { convertToSql } from './sqlWriter.mjs'
+import { convertToSqlite } from './sqliteWriter.mjs'
+import { convertToXlsx } from './xlsxWriter.mjs'
+import { convertToXml } from './xmlWriter.mjs'
+
+/**
+ * Creates a seeded pseudo-random number generator that can be used in place of
+ * `Math.random()`. It uses the mulberry32 algorithm, so the same seed always
+ * produces the same sequence of numbers. If no seed is given, `Math.random` is
+ * returned instead.
+ * 
+ * @param   {number}   seed An integer seed
+ * @returns {Function}      A function returning a pseudo-random number in [0, 1)
+ */
+export const createRandom = seed => {
+  if (seed === undefined || seed === null) {
+    return Math.random
+  }
+  // eslint-disable-next-line no-bitwise
+  let state = seed >>> 0
+
+  return () => {
+    // eslint-disable-next-line no-bitwise
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+
+    // eslint-disable-next-line no-bitwise
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    // eslint-disable-next-line no-bitwise
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+
+    // eslint-disable-next-line no-bitwise
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Derives a new seed from a seed and any number of integer keys, e.g. to give each
+ * chunk of a run its own seed, so that the chunk's values are the same whatever order
+ * the chunks are generated in
+ * 
+ * @param   {number}    seed An integer seed
+ * @param   {...number} keys The integer keys, e.g. the index of a chunk
+ * @returns {number}         The derived seed, an unsigned 32-bit integer
+ */
+export const deriveSeed = (seed, ...keys) => keys.reduce(
+  // eslint-disable-next-line no-bitwise
+  (derived, key) => Math.floor(createRandom((derived ^ Math.imul(key + 1, 0x9e3779b1)) >>> 0)() * 4294967296),
+  // eslint-disable-next-line no-bitwise
+  seed >>> 0
+)
+
+/**
+ * Maps an index in [0, n) to a different index in [0, n) for every index, i.e. shuffles
+ * the indices without having to hold them in memory, so that e.g. the values of a range
+ * can be drawn in a random order a chunk at a time. It uses a small Feistel network over
+ * the smallest range of an even number of bits that holds `n`, and maps again any index
+ * that falls outside of [0, n).
+ * 
+ * @param   {number} index The index to map
+ * @param   {number} n     The number of indices being shuffled
+ * @param   {number} seed  An integer seed, which decides the shuffle
+ * @returns {number}       The index in the shuffled order
+ */
+export const permuteIndex = (index, n, seed) => {
+  const size = 2 ** Math.max(1, Math.ceil(Math.log2(n) / 2))
+  const feistel = x => {
+    const [left, right] = [0, 1, 2, 3].reduce(
+      // eslint-disable-next-line no-bitwise
+      ([l, r], round) => [r, l ^ (deriveSeed(seed, round, r) % size)],
+      [Math.floor(x / size), x % size]
+    )
+
+    return left * size + right
+  }
+  const walk = x => (x < n ? x : walk(feistel(x)))
+
+  return walk(feistel(index))
+}
 
 /**
  * Randomly select an item from an array of items
  * 
- * @param   {array} items Any array of items
- * @returns {*}           A single item from the array chosen randomly
+ * @param   {array}    items  Any array of items
+ * @param   {Function} random The source of randomness
+ * @returns {*}               A single item from the array chosen randomly
  */
-export const randomItem = items => items[Math.floor(Math.random() * items.length)]
+export const randomItem = (items, random = Math.random) => items[Math.floor(random() * items.length)]
 
 /**
  * Returns a snake cased variant from the column names submitted
  *
- * @param   {array}  variants Array of plausible name variants
- * @returns {string}          The snake cased variant selected
+ * @param   {array}    variants Array of plausible name variants
+ * @param   {Function} random   The source of randomness
+ * @returns {string}            The snake cased variant selected
  */
-export const mangleName = variants => snakeCase(randomItem(variants))
+export const mangleName = (variants, random = Math.random) => snakeCase(randomItem(variants, random))
 
 /**
  * Transposes a 2D array, convert rows into columns or vice versa
@@ -29,35 +117,39 @@ export const mangleName = variants => snakeCase(randomItem(variants))
  * @param   {array} table The 2D array to be transposed, any number of rows/columns okay
  * @returns {array}       The transposed array
  */
-export const transpose = table => table.reduce((r, a) => a.map((v, i) => [...(r[i] || []), v]), [])
+export const transpose = table => (table.length === 0 ? [] : table[0].map((_, i) => table.map(row => row[i])))
 
 /**
  * Takes a number and adds a small decimal amount to it by generating a random 
  * number [0, 1), multiplies it by 1000, rounds it, then multiplies by .0000001,
  * to get, e.g. 0.0000342
  * 
- * @param   {number} number The number to which a small amount will be added
- * @returns                 A number with a small amount added to it
+ * @param   {number}   number The number to which a small amount will be added
+ * @param   {Function} random The source of randomness
+ * @returns                   A number with a small amount added to it
  */
-export const addSmallValue = number => number + (Math.round(Math.random() * 1000) * .0000001)
+export const addSmallValue = (number, random = Math.random) => number + (Math.round(random() * 1000) * .0000001)
 
 /**
  * Maybe adds a small amount to a float. Generates a random number [0, 1), multiplies
  * it by 1000, rounds it, then multiplies by .0000001, to get, e.g. 0.0000342
  * 
- * @param   {number} number The number to which a small value will be added
- * @returns {number}        The original number with a small amount maybe added
+ * @param   {number}   number The number to which a small value will be added
+ * @param   {Function} random The source of randomness
+ * @returns {number}          The original number with a small amount maybe added
  */
-export const maybeAddSmallValue = number => Math.random() < 0.8 ? number : addSmallValue(number)
+export const maybeAddSmallValue = (number, random = Math.random) =>
+  random() < 0.8 ? number : addSmallValue(number, random)
 
 /**
  * Maybe mangles a date by converting it into a different format than expected
  * 
- * @param   {string} dt Date string in ISO8601 format
- * @returns {string}    Date string in either ISO8601, JS timestamp, or locale string
+ * @param   {string}   dt     Date string in ISO8601 format
+ * @param   {Function} random The source of randomness
+ * @returns {string}          Date string in either ISO8601, JS timestamp, or locale string
  */
-export const maybeMangleDate = dt => {
-  const rand = Math.random()
+export const maybeMangleDate = (dt, random = Math.random) => {
+  const rand = random()
 
   if (rand < 0.1) {
     return new Date(dt).getTime()
@@ -73,14 +165,15 @@ export const maybeMangleDate = dt => {
  * add a small decimal amount to it. About 5% of the time it will add a very large amount
  * to it putting it out of range for a valid lat/lon coordinate.
  * 
- * @param {number} coord A latitude or longitude in decimal format
- * @returns {number}       The coordinate maybe changed a very small amount or A LOT
+ * @param   {number}   coord  A latitude or longitude in decimal format
+ * @param   {Function} random The source of randomness
+ * @returns {number}          The coordinate maybe changed a very small amount or A LOT
  */
-export const maybeMangleGeo = coord => {
-  const rand = Math.random()
+export const maybeMangleGeo = (coord, random = Math.random) => {
+  const rand = random()
 
   if (rand < 0.1) {
-    return addSmallValue(coord)
+    return addSmallValue(coord, random)
   } else if (rand >= .1 && rand < .15) {
     return coord < 0 ? coord - 180 : coord + 180
   } else {
@@ -88,16 +181,79 @@ export const maybeMangleGeo = coord => {
   }
 }
 
+/**
+ * Takes a text value. About 10% of the time it will cut off the end of it, as if it
+ * had been written to a field that was too narrow for it, keeping at least one character.
+ * 
+ * @param   {string}   val    The value
+ * @param   {Function} random The source of randomness
+ * @returns {string}          The value maybe with its end cut off
+ */
+export const maybeTruncate = (val, random = Math.random) => {
+  const rand = random()
+
+  if (rand < 0.1 && typeof val === 'string' && val.length > 1) {
+    return val.slice(0, 1 + Math.floor(random() * (val.length - 1)))
+  } else {
+    return val
+  }
+}
+
+/**
+ * Takes a value and leaves it out some of the time, as in a feed with missing values. It
+ * becomes `null` with a probability of `nullRate`, and an empty string with a probability
+ * of `blankRate`.
+ * 
+ * @param   {*}        val    The value
+ * @param   {object}   rates  The `nullRate` and `blankRate`, each between 0 and 1
+ * @param   {Function} random The source of randomness
+ * @returns {*}               The value, or `null` or an empty string in its place
+ */
+export const maybeEmpty = (val, { nullRate = 0, blankRate = 0 }, random = Math.random) => {
+  const rand = random()
+
+  if (rand < nullRate) {
+    return null
+  } else if (rand < nullRate + blankRate) {
+    return ''
+  } else {
+    return val
+  }
+}
+
+/**
+ * Chooses where a sequence has gaps in it, as if some of its values had been used up
+ * without a row being kept, e.g. by inserts that were rolled back. About 10% of the rows
+ * come after a gap of 1 to 10 values, and every row after a gap moves along with it.
+ * 
+ * @param   {number}   num     The number of rows
+ * @param   {number}   skipped The number of values already skipped before the first row
+ * @param   {Function} random  The source of randomness
+ * @returns {array}            The number of values skipped before each row
+ */
+export const skipSequenceValues = (num, skipped = 0, random = Math.random) => {
+  let total = skipped
+
+  return Array.from({ length: num }, () => {
+    if (random() < 0.1) {
+      total += 1 + Math.floor(random() * 10)
+    }
+
+    return total
+  })
+}
+
 /**
  * Takes the original table and randomly reorders the columns. Keeps the ID column
  * as the first columnn.
  * 
- * @param   {array} original The original table whose columns are to be shuffled
- * @returns {array}          The shuffled table
+ * @param   {array}    original The original table whose columns are to be shuffled
+ * @param   {Function} random   The source of randomness
+ * @returns {array}             The shuffled table
  */
-export const shuffleColumns = (original) => {
+export const shuffleColumns = (original, random = Math.random) => {
   const headers = JSON.parse(JSON.stringify(original[0]))
-  const newHeaders = [headers[0], ...headers.slice(1).sort(() => 0.5 - Math.random())]
+  const newHeaders = [headers[0], ...headers.slice(1).sort(() => 0.5 - random())]
   const newOrder = original[0].map(h => newHeaders.findIndex(h2 => h === h2) + 1)
 
   newOrder.unshift(undefined) // add a dummy element to the beginning of newOrder
@@ -115,57 +271,346 @@ export const shuffleColumns = (original) => {
 }
 
 /**
- * Takes a 2D array (array of rows) and converts it into CSV string format
+ * The policies for deciding which CSV fields are wrapped in double quotes:
+ * - `minimal`: only fields that contain a delimiter, double quote or line break
+ * - `all`: every field, except for empty (`null`/`undefined`) ones
+ * - `non-numeric`: every field that isn't a number, plus any that need it
+ */
+export const quotingPolicies = ['minimal', 'all', 'non-numeric']
+
+/**
+ * Names for the commonly used field delimiters
+ */
+export const delimiters = { comma: ',', tab: '\t', pipe: '|', semicolon: ';' }
+
+/**
+ * Names for the line terminators that can end each record
+ */
+export const lineEndings = { crlf: '\r\n', lf: '\n', cr: '\r' }
+
+/**
+ * The character encodings that output can be written in, keyed by the names (and
+ * common aliases) they can be chosen by, with the matching Node.js encoding as values
+ */
+export const encodings = {
+  'utf-8': 'utf8',
+  utf8: 'utf8',
+  'utf-16le': 'utf16le',
+  utf16le: 'utf16le',
+  'latin-1': 'latin1',
+  latin1: 'latin1',
+  'iso-8859-1': 'latin1',
+}
+
+/**
+ * Converts a single value into a CSV field as described by RFC 4180. Embedded double
+ * quotes are escaped by doubling them, and fields containing the delimiter, a double
+ * quote or a line break are always quoted. `null` and `undefined` become empty fields.
+ * 
+ * @param   {*}      val       The value to be converted
+ * @param   {string} quoting   The quoting policy, one of `quotingPolicies`
+ * @param   {string} delimiter The field delimiter
+ * @returns {string}           The CSV field
+ */
+export const convertToCsvField = (val, quoting = 'non-numeric', delimiter = ',') => {
+  if (val === null || val === undefined) {
+    return ''
+  }
+  const field = val instanceof Date ? val.toISOString() : String(val)
+  const mustQuote = field.includes(delimiter) || /["\r\n]/.test(field)
+  const shouldQuote =
+    mustQuote
+    || quoting === 'all'
+    || (quoting === 'non-numeric' && typeof val !== 'number')
+
+  return shouldQuote ? `"${field.replace(/"/g, '""')}"` : field
+}
+
+/**
+ * Converts a single row of values into a line of CSV, including the line terminator
+ * 
+ * @param   {array}  row     The values in the row
+ * @param   {object} options The `quoting` policy, `delimiter` and `newline` (line terminator) to use
+ * @returns {string}         The CSV-formatted row
+ */
+export const convertToCsvRow = (row, { quoting = 'non-numeric', delimiter = ',', newline = '\r\n' } = {}) =>
+  `${row.map(val => convertToCsvField(val, quoting, delimiter)).join(delimiter)}${newline}`
+
+/**
+ * Takes a 2D array (array of rows) and converts it into CSV string format as described
+ * by RFC 4180. By default, fields are separated by commas, every field that isn't a
+ * number is quoted and records end with CRLF, but all of these can be changed with `options`.
  * 
  * @param   {array}  tableArray The 2D array to be converted to CSV
+ * @param   {object} options    The `quoting` policy, `delimiter` and `newline` (line terminator) to use
  * @returns {string}            A CSV-formatted string representing the table
  */
-export const convertToCsv = tableArray => tableArray.reduce((content, record) => {
-  content += record.reduce((csv, val, i, row) => {
-    csv += typeof val === 'number' ? `,${val}` : `,"${val}"`
-    if (i === 0) {
-      csv = csv.replace(',', '')
+export const convertToCsv = (tableArray, options) =>
+  tableArray.map(row => convertToCsvRow(row, options)).join('')
+
+/**
+ * The number of rows that are generated, and converted for output, at a time
+ */
+export const chunkSize = 1000
+
+/**
+ * Splits the rows of a table into chunks of at most `chunkSize` rows
+ *
+ * @param   {array}  rows The rows to be split, without the header row
+ * @param   {number} size The number of rows in each chunk
+ * @yields  {array}       Each chunk of rows
+ */
+export const chunkRows = function * (rows, size = chunkSize) {
+  for (let i = 0; i < rows.length; i += size) {
+    yield rows.slice(i, i + size)
+  }
+}
+
+/**
+ * Converts a table into CSV a chunk of rows at a time, so that the whole table never has
+ * to be held in memory as a single string
+ *
+ * @param   {array}         headers The header row
+ * @param   {AsyncIterable} chunks  The chunks of rows, e.g. from `chunkRows()`
+ * @param   {object}        options The `quoting` policy, `delimiter` and `newline` to use
+ * @yields  {string}                The header row, then the CSV of each chunk of rows
+ */
+export const streamCsv = async function * (headers, chunks, options) {
+  yield convertToCsvRow(headers, options)
+  for await (const rows of chunks) {
+    yield convertToCsv(rows, options)
+  }
+}
+
+/**
+ * Takes a 2D array (array of rows) whose first row is the header row and converts the
+ * remaining rows into objects keyed by the headers. Values keep their types, so numbers
+ * stay numbers and dates are written in ISO 8601 format when serialized.
+ * 
+ * @param   {array} tableArray The 2D array to be converted
+ * @returns {array}            An array with one object per row
+ */
+export const convertToObjects = ([headers, ...rows]) =>
+  rows.map(row => headers.reduce((obj, header, i) => ({ ...obj, [header]: row[i] }), {}))
+
+/**
+ * Takes a 2D array (array of rows) and converts it into a JSON array of objects keyed
+ * by the header row
+ * 
+ * @param   {array}  tableArray The 2D array to be converted to JSON
+ * @returns {string}            A JSON-formatted string representing the table
+ */
+export const convertToJson = tableArray => `${JSON.stringify(convertToObjects(tableArray), null, 2)}\n`
+
+/**
+ * Takes a 2D array (array of rows) and converts it into newline-delimited JSON, i.e.
+ * one JSON object per line, keyed by the header row
+ * 
+ * @param   {array}  tableArray The 2D array to be converted to NDJSON
+ * @returns {string}            An NDJSON-formatted string representing the table
+ */
+export const convertToNdjson = tableArray =>
+  convertToObjects(tableArray).map(obj => `${JSON.stringify(obj)}\n`).join('')
+
+/**
+ * Converts a table into newline-delimited JSON a chunk of rows at a time
+ *
+ * @param   {array}         headers The header row
+ * @param   {AsyncIterable} chunks  The chunks of rows, e.g. from `chunkRows()`
+ * @yields  {string}                The NDJSON of each chunk of rows
+ */
+export const streamNdjson = async function * (headers, chunks) {
+  for await (const rows of chunks) {
+    yield convertToNdjson([headers, ...rows])
+  }
+}
+
+/**
+ * The formats that the tables can be written in, with the file extension and either:
+ * - `convert`: a function that converts a 2D array (array of rows) into the content of
+ *   the table's own file, either as text or, for binary formats, as a Promise that
+ *   resolves to a Buffer. It is also given the table's output options, including its
+ *   `table` name and the colspecs of its `columns` in header order.
+ * - `combine`: an async function that writes every table in that format into a single
+ *   file, e.g. a database. It is given the tables, as `{ source: { data, options } }`,
+ *   and the manifest of changes made to TARGET, and resolves to the file's content.
+ *
+ * A format may also have a `layout`, with its own `extension` and `convert` function,
+ * for a file describing the layout of the table's file that is written on request, and
+ * a `stream` function that converts the table a chunk of rows at a time. It is given
+ * the header row, an (async) iterable of chunks of rows and the output options, and is
+ * used instead of `convert` when the tables are generated in chunks or the file is
+ * compressed.
+ */
+export const outputFormats = {
+  csv: { extension: 'csv', convert: convertToCsv, stream: streamCsv },
+  json: { extension: 'json', convert: convertToJson },
+  ndjson: { extension: 'ndjson', convert: convertToNdjson, stream: streamNdjson },
+  sql: { extension: 'sql', convert: convertToSql },
+  parquet: { extension: 'parquet', convert: convertToParquet },
+  xml: { extension: 'xml', convert: convertToXml },
+  'fixed-width': {
+    extension: 'txt',
+    convert: convertToFixedWidth,
+    layout: { extension: 'cpy', convert: convertToCopybook },
+  },
+  sqlite: { extension: 'sqlite', combine: convertToSqlite },
+  xlsx: { extension: 'xlsx', combine: convertToXlsx },
+}
+
+/**
+ * Encodes the content of an output file in the given character encoding, optionally
+ * preceded by a byte order mark (BOM). Characters that can't be represented in Latin-1
+ * (and control characters other than tabs and line breaks) are replaced with `?`, and a
+ * BOM can't be written in Latin-1 since it has none.
+ *
+ * @param   {string} content The content to be encoded
+ * @param   {object} options The Node.js `encoding` to use and whether to write a `bom`
+ * @returns {Buffer}         The encoded content
+ */
+export const encodeContent = (content, { encoding = 'utf8', bom = false } = {}) => {
+  if (encoding === 'latin1') {
+    if (bom) {
+      throw new Error('A byte order mark cannot be written in the latin1 encoding')
     }
-    if (i === row.length - 1) {
-      csv += '\n'
+
+    return Buffer.from(content.replace(/[^\x20-\xff\t\r\n]/g, '?'), encoding)
+  }
+
+  return Buffer.from(`${bom ? '\ufeff' : ''}${content}`, encoding)
+}
+
+/**
+ * Encodes chunks of the content of an output file one at a time, as `encodeContent()`
+ * does for the whole content. Only the first chunk is preceded by the `bom`.
+ *
+ * @param   {AsyncIterable} chunks  The chunks of text to be encoded
+ * @param   {object}        options The Node.js `encoding` to use and whether to write a `bom`
+ * @yields  {Buffer}                Each encoded chunk
+ */
+export const encodeChunks = async function * (chunks, { encoding, bom = false } = {}) {
+  let first = true
+
+  for await (const chunk of chunks) {
+    yield encodeContent(chunk, { encoding, bom: bom && first })
+    first = false
+  }
+}
+
+/**
+ * Splits an iterable into several async iterables that each yield every item of the
+ * original, so that e.g. the chunks of a run can be written to several files while they
+ * are generated only once. An iterable that gets ahead of the others waits for them to
+ * catch up, so no more than `limit` items are held for any of them. This means that
+ * every one of them has to be read at the same time, unless it is stopped early (e.g.
+ * because writing it failed), after which the others no longer wait for it. If the
+ * original fails, every one of them fails with the same error.
+ *
+ * @param   {Iterable} iterable The (async) iterable to be split
+ * @param   {number}   count    The number of iterables to split it into
+ * @param   {number}   limit    The most items that are held for an iterable
+ * @returns {array}             The async iterables
+ */
+export const teeChunks = (iterable, count, limit = 2) => {
+  const iterator = iterable[Symbol.asyncIterator] ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]()
+  const queues = Array.from({ length: count }, () => [])
+  let waiting = []
+  let pulling = null
+  let done = false
+  let failure = null
+  const stopped = new Set()
+  const wake = () => {
+    const resolvers = waiting
+
+    waiting = []
+    resolvers.forEach(resolve => resolve())
+  }
+  const pull = async () => {
+    try {
+      const item = await iterator.next()
+
+      if (item.done) {
+        done = true
+      } else {
+        queues.forEach((queue, q) => !stopped.has(q) && queue.push(item.value))
+      }
+    } catch (error) {
+      failure = error
     }
+  }
+  const wait = () => new Promise(resolve => {
+    waiting.push(resolve)
+  })
+  const pullOnce = () => {
+    pulling = pulling || pull().finally(() => {
+      pulling = null
+      wake()
+    })
 
-    return csv
-  }, '')
+    return pulling
+  }
+  const next = async i => {
+    if (queues[i].length > 0) {
+      const value = queues[i].shift()
 
-  return content
-}, '')
+      wake()
+
+      return { done: false, value }
+    }
+    if (failure) {
+      throw failure
+    }
+    if (done) {
+      return { done: true, value: undefined }
+    }
+    await (queues.some((queue, q) => !stopped.has(q) && queue.length >= limit) ? wait() : pullOnce())
+
+    return next(i)
+  }
+  const stop = i => {
+    stopped.add(i)
+    queues[i] = []
+    wake()
+
+    return Promise.resolve({ done: true, value: undefined })
+  }
+
+  return queues.map((_, i) => ({ [Symbol.asyncIterator]: () => ({ next: () => next(i), return: () => stop(i) }) }))
+}
 
 /**
- * Removes some number of random rows from a table. It will NOT remove the header row.
- * 
- * @param   {array}  table The table from which rows are to be removed
- * @param   {number} num   The number of rows to remove
- * @returns {array}        The resulting table with rows removed
+ * Chooses some number of distinct rows at random, e.g. to be left out of a table
+ *
+ * @param   {number}   count  The number of rows to choose from
+ * @param   {number}   num    The number of rows to choose
+ * @param   {Function} random The source of randomness
+ * @returns {Set}             The (0-based) indexes of the chosen rows
  */
-export const removeRandomRows = (table, num)   => {
-  const header = table[0]
-  const dataRows = table.slice(1)
-  
-  Array.from({ length: num })
-    .map(() => Math.floor(Math.random() * dataRows.length))
-    .sort((a, b) => b - a) // descending order
-    .map(n => dataRows.splice(n, 1))
+export const chooseRandomRows = (count, num, random = Math.random) => {
+  const chosen = new Set()
+
+  while (chosen.size < Math.min(num, count)) {
+    chosen.add(Math.floor(random() * count))
+  }
 
-  return [header, ...dataRows]
+  return chosen
 }
 
 /**
  * Takes a table as a 2D array, a list of columns to maybe mangle and the
  * type of columns to be mangled. Returns the updated table with approximately
- * 20% of the values in the mangled columns having new values.
+ * 20% of the values in the mangled columns having new values, or with the
+ * given `rate` of them made `null` when the type is `null`. Values that are
+ * already missing (`null` or empty) are left alone.
  * 
- * @param   {array}  table       The table whose columns are to be mangled
- * @param   {array}  colsToTweak The columns to be mangled
- * @param   {string} type        The type of mangling to do
- * @returns {array}              The table with mangled columns
+ * @param   {array}    table       The table whose columns are to be mangled
+ * @param   {array}    colsToTweak The columns to be mangled
+ * @param   {string}   type        The type of mangling to do
+ * @param   {Function} random      The source of randomness
+ * @param   {number}   rate        The fraction of values made `null` for the `null` type
+ * @returns {array}                The table with mangled columns
  */
-export const mangleColumns = (table, colsToMangle, type) => {
+export const mangleColumns = (table, colsToMangle, type, random = Math.random, rate = 0.1) => {
   const tweakedFloatCols = colsToMangle.map(pascalCase)
   const indices = tweakedFloatCols.reduce((idc, col) => {
     const i = table[0].findIndex(el => el === col)
@@ -176,18 +621,25 @@ export const mangleColumns = (table, colsToMangle, type) => {
 
     return idc
   }, [])
+  const mangle = (values, f) => values.map(v => (v === null || v === '' ? v : f(v)))
 
   return table.reduce((t, _, i) => {
     if (indices.includes(i)) {
       switch (type) {
         case 'float':
-          t[i] = table[i].map(maybeAddSmallValue)
+          t[i] = mangle(table[i], v => maybeAddSmallValue(v, random))
           break
         case 'date':
-          t[i] = table[i].map(maybeMangleDate)
+          t[i] = mangle(table[i], v => maybeMangleDate(v, random))
           break
         case 'geo':
-          t[i] = table[i].map(maybeMangleGeo)
+          t[i] = mangle(table[i], v => maybeMangleGeo(v, random))
+          break
+        case 'truncate':
+          t[i] = mangle(table[i], v => maybeTruncate(v, random))
+          break
+        case 'null':
+          t[i] = mangle(table[i], v => maybeEmpty(v, { nullRate: rate }, random))
           break
         default:
       }
@@ -205,12 +657,13 @@ export const mangleColumns = (table, colsToMangle, type) => {
  * specified columns, a variant is chosen at random and converted to snake case. Then
  * the whole table is returned.
  * 
- * @param   {array} table           The table to have its column names mangled
- * @param   {array} columnsToMangle The list of columns to mangle the names of
- * @param   {array} columnSpec      The column specifications
- * @returns {array}                 The table with column names mangled
+ * @param   {array}    table           The table to have its column names mangled
+ * @param   {array}    columnsToMangle The list of columns to mangle the names of
+ * @param   {array}    columnSpec      The column specifications
+ * @param   {Function} random          The source of randomness
+ * @returns {array}                    The table with column names mangled
  */
-export const mangleColumnNames = (table, columnsToMangle, columnSpec) => {
+export const mangleColumnNames = (table, columnsToMangle, columnSpec, random = Math.random) => {
   // clone the table
   table = JSON.parse(JSON.stringify(table))
   const colNamesToMangle = columnsToMangle.map(pascalCase)
@@ -220,7 +673,7 @@ export const mangleColumnNames = (table, columnsToMangle, columnSpec) => {
       const spec = columnSpec.find(s => pascalCase(s.name) === h)
       const variants = [spec.name, ...spec.variants]
 
-      return snakeCase(variants[Math.floor(Math.random() * variants.length)])
+      return snakeCase(randomItem(variants, random))
     }
 
     return h
@@ -228,3 +681,53 @@ export const mangleColumnNames = (table, columnsToMangle, columnSpec) => {
 
   return table
 }
+
+/**
+ * Compares a column-oriented table (header row followed by one array per column, the
+ * first of which contains the row ids) before and after its values were mangled, and
+ * returns a record of every value that was changed.
+ * 
+ * @param   {array}  before The table before it was mangled
+ * @param   {array}  after  The table after it was mangled
+ * @param   {string} type   The type of mangling that was done, e.g. `float`
+ * @param   {array}  ids    The id of each row, which are the table's ids unless they
+ *                          have been changed themselves, e.g. by renumbering
+ * @returns {array}         An array of `{ id, column, original, mangled, type }` objects
+ */
+export const diffColumns = (before, after, type, ids = before[1]) =>
+  after.slice(1).flatMap((values, c) =>
+    values.reduce((changes, val, row) => {
+      const original = before[c + 1][row]
+
+      if (val !== original) {
+        changes.push({ id: ids[row], column: before[0][c], original, mangled: val, type })
+      }
+
+      return changes
+    }, []))
+
+/**
+ * Compares the header row of a table before and after its column names were mangled
+ * 
+ * @param   {array} before The header row before it was mangled
+ * @param   {array} after  The header row after it was mangled
+ * @returns {array}        An array of `{ original, mangled }` objects for renamed headers
+ */
+export const diffHeaders = (before, after) =>
+  before.reduce((renamed, original, i) => {
+    if (after[i] !== original) {
+      renamed.push({ original, mangled: after[i] })
+    }
+
+    return renamed
+  }, [])
+
+/**
+ * Describes how the columns of a table were reordered as a permutation, i.e. for each
+ * column in the new order, the index that column had in the original order
+ * 
+ * @param   {array} before The header row before the columns were reordered
+ * @param   {array} after  The header row after the columns were reordered
+ * @returns {array}        The original index of each column, in the new order
+ */
+export const getColumnPermutation = (before, after) => after.map(h => before.indexOf(h))
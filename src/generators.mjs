@@ -7,26 +7,67 @@
  * @module generators
  */
 
+import { assertUniqueCapacity, assertValidColspec } from './colspecValidator.mjs'
 import {
-  convertToCsv,
+  chooseRandomRows,
+  chunkRows,
+  chunkSize,
+  createRandom,
+  deriveSeed,
+  diffColumns,
+  diffHeaders,
+  encodeChunks,
+  encodeContent,
+  getColumnPermutation,
   mangleColumnNames,
   mangleColumns,
   mangleName,
-  removeRandomRows,
+  maybeEmpty,
+  outputFormats,
+  permuteIndex,
   shuffleColumns,
+  skipSequenceValues,
+  teeChunks,
   transpose
 } from './generatorUtilities.mjs'
+import {
+  formatKeys,
+  getColumnReferences,
+  getGenerationOrder,
+  getRequiredCols,
+  getUniqueStrategy,
+  sequenceStart
+} from './colspecUtilities.mjs'
+import { getColumnKind, prepareColumn } from './columnKinds.mjs'
 import { faker } from '@faker-js/faker'
 import { fileURLToPath } from 'url'
-import { getRequiredCols } from './colspecUtilities.mjs'
+import { formatFixedWidthValue } from './fixedWidthWriter.mjs'
 import { omit } from 'ramda'
 import { pascalCase } from 'change-case'
 import path from 'path'
+import { runInWorkers } from './workerPool.mjs'
 
-// extract this commonly-used helper function
-const { unique } = faker.helpers
 // list of props to omit from column specs before value generation
-const nonParams = ['name', 'variants', 'cat', 'type', 'unique', 'convert', 'opts']
+const nonParams = [
+  'name',
+  'variants',
+  'cat',
+  'type',
+  'unique',
+  'maxRetries',
+  'convert',
+  'opts',
+  'optional',
+  'nullRate',
+  'blankRate',
+  ...formatKeys,
+]
+
+/**
+ * The moment that `refDate: 'now'` (or any other reference date that isn't a valid date)
+ * refers to when a `seed` is given, so that seeded runs produce the same dates every time
+ */
+export const seededNow = '2023-01-01T00:00:00.000Z'
 
 // Reset the default string representation of a date to the ISO 8601 standard
 // eslint-disable-next-line no-extend-native
@@ -36,7 +77,10 @@ Date.prototype.toString = Date.prototype.toISOString
  * This is the main test data generation function. It orchestrates all of the test
  * data generation and transformations and returns two 2D arrays, one for `source`
  * and one for `target`, that contain the rows that will be later converted to
- * CSV format for output.
+ * CSV format for output. It collects every chunk of rows produced by
+ * `generateStream()`, so for very large tables it is better to write the chunks
+ * out as they are generated instead (see `generateFiles()`). The chunks are always
+ * generated in the main thread here, which gives the same tables as using workers.
  * 
  * Below are two examples:
  * 1. Intended usage in the context of an inquirer workflow, but this function can
@@ -65,11 +109,56 @@ Date.prototype.toString = Date.prototype.toISOString
  * }
  * const generatedTables = generate(answers, colspec)
  * 
+ * The `manifest` records the ground truth of what was done to TARGET, identifying
+ * rows by their ids in SOURCE (which stay the same when TARGET's ids are renumbered):
+ * - `cells`: every value that was changed, as `{ id, column, original, mangled, type }`
+ * - `headers`: every renamed column, as `{ original, mangled }`
+ * - `columnOrder`: for each TARGET column, the index of the same column in SOURCE
+ * - `removedRows`: the ids of the rows removed from `source` and from `target`
+ * 
+ * @param   {array}  answers The array of answers to CLI questions
+ * @param   {array}  colspec The array of column specifications
+ * @returns {object}         A JSON object containing SOURCE and TARGET data arrays, and a
+ *                           `manifest` of every change that was made to TARGET
+ */
+export const generate = (answers, colspec) => collectRun(generateStream({ ...answers, workers: 0 }, colspec))
+
+/**
+ * Sets up a run of the generator and returns the `headers` of both tables, the parts of
+ * the `manifest` other than its `cells`, and a generator of `chunks` that produces the
+ * rows of the tables `size` rows at a time, so that tables far larger than the
+ * available memory can be generated and written out. Each chunk has the `source` and
+ * `target` rows (either of which may have fewer rows than the chunk's size once rows
+ * have been removed from them) and the `cells` of TARGET that were altered in it.
+ * 
+ * Everything that doesn't depend on the values is decided up front: which rows will
+ * be left out of SOURCE or TARGET, the renamed headers and the shuffled column order of
+ * TARGET. Each chunk's values are then generated a column at a time (columns that refer
+ * to other columns after them, using the values already generated for the same row),
+ * copied into TARGET and mangled there.
+ * 
+ * The colspec is validated before anything is generated, and an error listing every
+ * problem found is thrown if it is invalid, or if a `unique` column can't have as many
+ * different values as there are rows.
+ * 
+ * With `answers.workers` set to a number of worker threads, the values of the chunks
+ * are generated in those threads, and `chunks` is an async generator. Each chunk is
+ * generated with a seed derived from the run's seed and the chunk's index, and the
+ * values of `unique` columns are checked against the earlier chunks in order, so the
+ * tables are the same whatever the number of workers.
+ * 
+ * When `answers.seed` is set, faker and every random choice made while mangling
+ * TARGET are seeded with it, so the same seed and colspec always produce the
+ * same tables. Since faker is shared, this only holds if the chunks are read
+ * before the next run is started.
+ * 
  * @param   {array}  answers The array of answers to CLI questions
  * @param   {array}  colspec The array of column specifications
- * @returns {object}         A JSON object containing SOURCE and TARGET data arrays
+ * @param   {number} size    The number of rows generated in each chunk
+ * @returns {object}         The `headers`, `manifest` and `chunks` of the run. The ids in
+ *                           `manifest.removedRows` are added as the chunks are generated.
  */
-export const generate = (answers, colspec) => {
+export const generateStream = (answers, colspec, size = chunkSize) => {
   const {
     includeOptional,
     sourceCount: rows,
@@ -79,111 +168,527 @@ export const generate = (answers, colspec) => {
     floatColsToTweak,
     dateColsToMangle,
     geoColsToMangle,
+    textColsToTruncate,
+    widthColsToTruncate,
+    colsToNull,
+    nullFraction,
+    colsToGap,
+    colsToResequence,
+    workers = 0,
   } = answers
 
+  assertValidColspec(colspec)
+  colspec = colspec.map(prepareColumn)
+  /**
+   * Generate max(SOURCE, TARGET) rows and choose up front which of them will be
+   * left out of one of the tables
+   */
+  const rowCount = diff > 0 ? rows + diff : rows
+
+  assertUniqueCapacity(colspec, rowCount, includeOptional)
+  const now = answers.seed === undefined ? new Date() : new Date(seededNow)
+  // every chunk is seeded, so an unseeded run gets a seed of its own
+  const seed = answers.seed === undefined ? Math.floor(Math.random() * 4294967296) : answers.seed
+  const random = createRandom(seed)
+
   /**
    * Remove optional columns from the column specification if
    * these rows are not being generated
    */
   colspec = includeOptional ? colspec : getRequiredCols(colspec)
+  const isSelected = cols => Boolean(cols) && cols.length > 0 && cols[0] !== 'None'
+
+  const removed = chooseRandomRows(rowCount, Math.abs(diff || 0), random)
+  const removedFrom = diff > 0 ? 'source' : 'target'
 
   /**
-   * Generate the base SOURCE table with standard headers, column order
-   * and rowCount === max(SOURCE, TARGET) so rows can be removed from one later
+   * Rename and shuffle the columns of TARGET, if requested
    */
-  let source = colspec.reduce((src, c, i, cs) => {
-    // generate all headers on the first iteration
-    if (i === 0) {
-      src[0] = generateHeaders(cs, false)
-    }
-    const params = c.opts ? omit(nonParams, c) : Object.values(omit(nonParams, c))
-    const rowCount = diff > 0 ? rows + diff : rows
-
-    src.push(generateValues(c, params, rowCount))
-    if (c.convert) {
-      src[i+1] = src[i+1].map(Number)
-    }
-
-    return src
-  }, [])
+  const headers = generateHeaders(colspec, false)
+  const renamed = isSelected(mangleColNames) ? mangleColumnNames([headers], mangleColNames, colspec, random)[0] : headers
+  // the id column stays first
+  const shuffled = colsRandomized ? shuffleColumns([renamed], random)[0] : renamed
+  const columnOrder = getColumnPermutation(renamed, shuffled)
 
   /**
-   * deep clone SOURCE into TARGET
+   * Keep a record of every change made to TARGET, so that the data quality
+   * checks run against SOURCE and TARGET can be scored automatically. The
+   * altered cells are recorded in each chunk.
    */
-  let target = JSON.parse(JSON.stringify(source))
-  
+  const manifest = {
+    headers: diffHeaders(headers, renamed),
+    columnOrder,
+    removedRows: { source: [], target: [] },
+  }
+  const mangles = [
+    [floatColsToTweak, 'float'],
+    [dateColsToMangle, 'date'],
+    [geoColsToMangle, 'geo'],
+    [textColsToTruncate, 'truncate'],
+    [colsToNull, 'null'],
+  ].filter(([cols]) => isSelected(cols))
+  // renumbering closes the gaps left by removed rows before any new gaps are made
+  const sequenceMangles = [
+    [colsToResequence, 'resequence'],
+    [colsToGap, 'gap'],
+  ].filter(([cols]) => isSelected(cols))
+  // the rows of TARGET before the next chunk, and the values skipped by gaps before it
+  const sequenced = { rows: 0, skipped: 0 }
+
   /**
-   * Apply column transformations
+   * Everything needed to generate the values of a chunk, which is passed to the
+   * worker threads when there are any
    */
-  if (floatColsToTweak && floatColsToTweak[0] !== 'None') {
-    target = mangleColumns(target, floatColsToTweak, 'float')
+  const plan = {
+    seed,
+    headers,
+    columns: getGenerationOrder(colspec).map(i => {
+      const refs = getColumnReferences(colspec[i], colspec)
+
+      return {
+        i,
+        col: resolveRefDate(colspec[i], now, refs),
+        refs: Object.entries(refs).map(([key, ref]) => [key, colspec.findIndex(c => c.name === ref) + 1]),
+        // the same for every chunk, so that a shuffled range is shuffled only once
+        seed: deriveSeed(seed, seedKeys.shuffles, i),
+      }
+    }),
   }
-  
-  if (dateColsToMangle && dateColsToMangle[0] !== 'None') {
-    target = mangleColumns(target, dateColsToMangle, 'date')
+  // the values already used in each `unique` column that isn't unique by construction
+  const used = plan.columns
+    .filter(({ col }) => getUniqueStrategy(col) === 'retry')
+    .map(({ i, col }) => [i + 1, new Set(), col.maxRetries ?? maxUniqueRetries])
+  const ranges = Array.from({ length: Math.ceil(rowCount / size) }, (_, index) => ({
+    index,
+    start: index * size,
+    num: Math.min(size, rowCount - index * size),
+  }))
+
+  /**
+   * Turns the values generated for a chunk into the rows of SOURCE and TARGET
+   *
+   * @param   {array}  values The column-oriented values of the chunk
+   * @param   {object} range  The `index` of the chunk and the `start` of its rows
+   * @returns {object}        The `source` and `target` rows and altered `cells` of the chunk
+   */
+  const finishChunk = (values, range) => {
+    const { index, start } = range
+    const source = makeUnique(plan, values, range, used)
+    const mangleRandom = createRandom(deriveSeed(seed, index, seedKeys.mangles))
+    // a copy of SOURCE, in which dates become ISO 8601 strings
+    let target = JSON.parse(JSON.stringify(source))
+    const cells = []
+    const positions = source[1].map((_, r) => start + r)
+    let resequenced = positions
+
+    /**
+     * Renumber sequences, before any of their values can be made null
+     */
+    sequenceMangles.forEach(([cols, type]) => {
+      let positionsOf = () => resequenced
+
+      if (type === 'resequence') {
+        resequenced = positions.map(position => {
+          const kept = sequenced.rows
+
+          if (removedFrom !== 'target' || !removed.has(position)) {
+            sequenced.rows += 1
+          }
+
+          return kept
+        })
+      } else {
+        const skipped = skipSequenceValues(positions.length, sequenced.skipped, mangleRandom)
+        const isResequenced = name => isSelected(colsToResequence) && colsToResequence.includes(name)
+
+        sequenced.skipped = skipped[skipped.length - 1]
+        positionsOf = name => (isResequenced(name) ? resequenced : positions).map((position, r) => position + skipped[r])
+      }
+      const renumbered = renumberColumns(target, cols, colspec, positionsOf)
+
+      cells.push(...diffColumns(target, renumbered, type, source[1]))
+      target = renumbered
+    })
+
+    /**
+     * Apply column transformations. Changes are recorded by the ids in SOURCE, which
+     * renumbering may have changed in TARGET.
+     */
+    mangles.forEach(([cols, type]) => {
+      const mangled = mangleColumns(target, cols, type, mangleRandom, nullFraction)
+
+      cells.push(...diffColumns(target, mangled, type, source[1]))
+      target = mangled
+    })
+
+    /**
+     * Cut off values that are too long for their fixed-width fields, once nothing else
+     * can make them longer
+     */
+    if (isSelected(widthColsToTruncate)) {
+      const cut = truncateColumnsToWidth(target, widthColsToTruncate, colspec)
+
+      cells.push(...diffColumns(target, cut, 'width', source[1]))
+      target = cut
+    }
+
+    /**
+     * Transpose the columns of values into rows, as they will appear in the
+     * final output tables, and leave out the rows chosen to be removed
+     */
+    const tables = { source: transpose(source.slice(1)), target: transpose(target.slice(1)) }
+    const removedIds = new Set()
+
+    tables[removedFrom] = tables[removedFrom].filter((row, r) => {
+      if (removed.has(start + r)) {
+        removedIds.add(source[1][r])
+        manifest.removedRows[removedFrom].push(source[1][r])
+
+        return false
+      }
+
+      return true
+    })
+
+    return {
+      source: tables.source,
+      target: tables.target.map(row => columnOrder.map(c => row[c])),
+      // changes to rows that are no longer in TARGET can't be detected
+      cells: removedFrom === 'target' ? cells.filter(cell => !removedIds.has(cell.id)) : cells,
+    }
   }
-  
-  if (geoColsToMangle && geoColsToMangle[0] !== 'None') {
-    target = mangleColumns(target, geoColsToMangle, 'geo')
+
+  const chunks = function * () {
+    for (const range of ranges) {
+      yield finishChunk(generateChunk(plan, range), range)
+    }
   }
+  const chunksFromWorkers = async function * () {
+    const worker = new URL('./generationWorker.mjs', import.meta.url)
+    let i = 0
 
-  if (mangleColNames && mangleColNames[0] !== 'None') {
-    target = mangleColumnNames(target, mangleColNames, colspec)
+    for await (const values of runInWorkers(worker, plan, ranges, workers)) {
+      yield finishChunk(values, ranges[i])
+      i += 1
+    }
   }
 
-  /**
-   * Randomize column order in TARGET, if requested
-   */
-  if (colsRandomized) {
-    target = shuffleColumns(target)
+  return {
+    headers: { source: headers, target: shuffled },
+    manifest,
+    chunks: workers > 0 ? chunksFromWorkers() : chunks(),
   }
+}
 
-  /**
-   * Transpose 2D arrays from having each row be one column of data,
-   * all values having the same data type, to each row being one record
-   * as it will appear in the final output tables. Note that the header
-   * row is already in the correct format, so is handled differently.
-   */
-  source = [source[0], ...transpose(source.slice(1))]
-  target = [target[0], ...transpose(target.slice(1))]
+/**
+ * The keys from which the seeds for the different parts of a chunk are derived
+ */
+const seedKeys = { values: 0, mangles: 1, retries: 2, shuffles: 3, blanks: 4 }
 
-  /**
-   * Randomly remove a specified number of rows from one of the tables
-   * to meet the requirements specified by the user
-   */
-  if (diff > 0) {
-    source = removeRandomRows(source, diff)
-  } else if (diff < 0) {
-    target = removeRandomRows(target, Math.abs(diff))
+/**
+ * The number of times a value is generated again before giving up on finding one that
+ * hasn't been used yet in a `unique` column, unless the column has its own `maxRetries`
+ */
+export const maxUniqueRetries = 100
+
+/**
+ * Makes the error thrown when a `unique` column runs out of retries before an unused
+ * value is found
+ *
+ * @param   {object} col The column specification
+ * @returns {Error}      The error, which names the column
+ */
+const uniqueValueError = col => new Error(`Could not generate a unique value for column "${col.name}"`)
+
+/**
+ * Generates the values of one chunk of a run as a column-oriented table, i.e. the header
+ * row followed by one array of values per column. Faker is seeded with a seed derived
+ * from the run's seed and the chunk's index, so a chunk's values are the same whichever
+ * thread generates it, and in whatever order. Columns that refer to other columns are
+ * generated after them, using the values already generated for the same row. Values are
+ * only left out (see a column's `nullRate` and `blankRate`) once every column has been
+ * generated, so columns that refer to them still get a value.
+ *
+ * @param   {object} plan  The `seed`, `headers` and `columns` (in generation order) of the run
+ * @param   {object} range The `index` of the chunk, the `start` of its rows in the table and
+ *                         the number (`num`) of rows in it
+ * @returns {array}        The column-oriented table
+ */
+export const generateChunk = (plan, { index, start, num }) => {
+  faker.seed(deriveSeed(plan.seed, index, seedKeys.values))
+
+  const chunk = plan.columns.reduce((src, { i, col, refs, seed }) => {
+    const paramsForRow = row => {
+      const values = refs.reduce((v, [key, ref]) => ({ ...v, [key]: src[ref][row] }), col)
+
+      return col.opts || getColumnKind(col) ? omit(nonParams, values) : Object.values(omit(nonParams, values))
+    }
+
+    src[i + 1] = generateValues(col, paramsForRow, num, start, seed)
+    if (col.convert) {
+      src[i + 1] = src[i + 1].map(Number)
+    }
+
+    return src
+  }, [plan.headers])
+
+  plan.columns
+    .filter(({ col }) => col.nullRate || col.blankRate)
+    .forEach(({ i, col }) => {
+      const random = createRandom(deriveSeed(plan.seed, index, seedKeys.blanks, i))
+
+      chunk[i + 1] = chunk[i + 1].map(v => maybeEmpty(v, col, random))
+    })
+
+  return chunk
+}
+
+/**
+ * Makes sure that no value of a `unique` column in a chunk was already used in an
+ * earlier chunk, since the chunks may have been generated separately. A row with a
+ * value that was is generated again, with a seed derived from its position, until all of
+ * its values are new, so the result doesn't depend on how the chunks were generated.
+ * Values that are unique by construction (e.g. a `sequence`) stay the same. The chunks
+ * have to be passed in order.
+ *
+ * @param   {object} plan   The `seed`, `headers` and `columns` of the run
+ * @param   {array}  values The column-oriented values of the chunk
+ * @param   {object} range  The `index` of the chunk and the `start` of its rows
+ * @param   {array}  used   The index of each `unique` column in `values`, a Set of the values
+ *                          already used in it, which the chunk's values are added to, and
+ *                          how many times a row may be generated again for it
+ * @returns {array}         The values of the chunk
+ */
+const makeUnique = (plan, values, { index, start }, used) => {
+  const keyOf = val => (val instanceof Date ? val.getTime() : val)
+
+  values[1].forEach((_, row) => {
+    const isUsed = ([c, set]) => set.has(keyOf(values[c][row]))
+
+    for (let attempt = 0, clash = used.find(isUsed); clash; attempt += 1, clash = used.find(isUsed)) {
+      if (attempt === clash[2]) {
+        throw uniqueValueError(plan.columns.find(({ i }) => i === clash[0] - 1).col)
+      }
+      const retry = { ...plan, seed: deriveSeed(plan.seed, index, seedKeys.retries, row) }
+      const fresh = generateChunk(retry, { index: attempt, start: start + row, num: 1 })
+
+      fresh.slice(1).forEach((column, c) => {
+        values[c + 1][row] = column[0]
+      })
+    }
+    used.forEach(([c, set]) => set.add(keyOf(values[c][row])))
+  })
+
+  return values
+}
+
+/**
+ * Collects every chunk of a run produced by `generateStream()` into complete tables
+ *
+ * @param   {object} run The `headers`, `manifest` and (already generated) `chunks` of the run
+ * @returns {object}     The `source` and `target` tables and the complete `manifest`
+ */
+const collectRun = ({ headers, manifest, chunks }) => {
+  const source = [headers.source]
+  const target = [headers.target]
+  const cells = []
+
+  for (const chunk of chunks) {
+    source.push(...chunk.source)
+    target.push(...chunk.target)
+    cells.push(...chunk.cells)
   }
 
-  return { source, target }
+  return { source, target, manifest: { cells, ...manifest } }
 }
 
 /**
  * Takes an object that contains two 2D arrays for the `source` and `target` tables that
- * represents the processed, completed values generated by the CLI tool. Returns the
- * absolute paths to where the `source` and `target` CSV files should be written and also
- * the CSV-formatted string content that should be written to those files.
+ * represents the processed, completed values generated by the CLI tool. Resolves to the
+ * absolute paths to where the `source` and `target` files should be written and also
+ * the content that should be written to those files. Each table is written in the
+ * `format` given in its output options (one of `outputFormats`, CSV by default), so
+ * e.g. SOURCE can be CSV while TARGET is NDJSON. Tables in a format that combines them
+ * into one file, e.g. a SQLite database, are written to `tables_<timestamp>.<extension>`
+ * under the format's name instead. With the `layout` option, a file describing the
+ * layout of the table's file is included for formats that have one, e.g. a COBOL
+ * copybook for fixed-width files. If the colspec that was used is passed in, a JSON
+ * file recording it is included as well, so that it is always known how the test data
+ * was generated. Likewise, the `manifest` of changes made to TARGET is included as a
+ * JSON file when `data` has one.
+ *
+ * `data` can also be a run from `generateStream()`. If both tables are in formats that
+ * can be written a chunk at a time (e.g. CSV), the content of their files, and of the
+ * manifest, is then produced from the chunks as they are generated, so the files must
+ * all be written at the same time (see `writeFiles()`). Otherwise the chunks are first
+ * collected into complete tables.
+ *
+ * With the `gzip` output option, a table's file is marked to be compressed with gzip
+ * and given a `.gz` extension. If the `answers` of the run are passed in and include
+ * `zip`, every file, along with a JSON file recording the answers, is bundled into
+ * `run_<timestamp>.zip` instead, which is the only file returned. When a table's file is
+ * compressed, formats that can be converted a chunk at a time (e.g. CSV) produce an
+ * iterable of chunks rather than the whole content, so that it can be streamed.
  * 
- * @param {object} data An object with `source` and `target` props containing table data
- * @returns {object} An object containing absolute paths and CSV-formatted table data
+ * @param {object} data    An object with `source` and `target` props containing table data, or a run
+ * @param {object} spec    An optional object with the `file` and `colspec` that were used
+ * @param {object} output  Optional `source` and `target` output options, e.g. `{ format: 'json' }`
+ * @param {object} answers The optional answers of the run, e.g. `{ zip: true }`
+ * @returns {Promise} Resolves to an object containing absolute paths and formatted table data
  */
-export const generateCsv = data => {
+export const generateFiles = async (data, spec, output = {}, answers = {}) => {
   const __dirname = path.dirname(fileURLToPath(import.meta.url))
+  const outputDir = __dirname.replace('src', 'output')
+  // use one timestamp so that the files from a single run can be matched up
+  const timestamp = new Date().getTime()
+  const formatOf = table => (output[table] || {}).format || 'csv'
+  const streamed = Boolean(data.chunks) && ['source', 'target'].every(table => outputFormats[formatOf(table)].stream)
+  // each table's file and the manifest get their own copy of the chunks of a streamed run
+  const copies = streamed ? teeChunks(data.chunks, 3) : []
 
-  return {
-    source: {
-      path: `${__dirname.replace('src', 'output')}${path.sep}source_${new Date().getTime()}.csv`,
-      content: convertToCsv(data.source),
-    },
-    target: {
-      path: `${__dirname.replace('src', 'output')}${path.sep}target_${new Date().getTime()}.csv`,
-      content: convertToCsv(data.target),
-    },
+  if (data.chunks && !streamed) {
+    const chunks = []
+
+    // the chunks may be generated by workers
+    for await (const chunk of data.chunks) {
+      chunks.push(chunk)
+    }
+    data = collectRun({ ...data, chunks })
+  }
+  const tables = ['source', 'target'].map((table, t) => {
+    const options = output[table] || {}
+    const headers = streamed ? data.headers[table] : data[table][0]
+    const columns = getTableColumns(headers, spec && spec.colspec, data.manifest)
+
+    return {
+      table,
+      format: formatOf(table),
+      headers,
+      data: data[table],
+      chunks: streamed ? pluckChunks(copies[t], table) : undefined,
+      options: { ...options, table: options.tableName || table, columns },
+    }
+  })
+  const files = {}
+  const combined = [...new Set(tables.map(({ format }) => format))].filter(format => outputFormats[format].combine)
+
+  await Promise.all(tables.filter(({ format }) => outputFormats[format].convert).map(async table => {
+    const { extension, layout, stream } = outputFormats[table.format]
+    const gzip = Boolean(table.options.gzip)
+    const chunks = table.chunks || (stream && (gzip || answers.zip) && chunkRows(table.data.slice(1)))
+    const content = chunks
+      ? encodeChunks(stream(table.headers, chunks, table.options), table.options)
+      : await outputFormats[table.format].convert(table.data, table.options)
+
+    files[table.table] = {
+      path: `${outputDir}${path.sep}${table.table}_${timestamp}.${extension}${gzip ? '.gz' : ''}`,
+      // text is encoded as requested, binary formats are already encoded
+      content: typeof content === 'string' ? encodeContent(content, table.options) : content,
+      gzip,
+    }
+    if (layout && table.options.layout) {
+      files[`${table.table}Layout`] = {
+        path: `${outputDir}${path.sep}${table.table}_${timestamp}.${layout.extension}`,
+        content: layout.convert(table.data, table.options),
+      }
+    }
+  }))
+  await Promise.all(combined.map(async format => {
+    const inFormat = tables
+      .filter(t => t.format === format)
+      .reduce((t, { table, data: tableData, options }) => ({ ...t, [table]: { data: tableData, options } }), {})
+
+    files[format] = {
+      path: `${outputDir}${path.sep}tables_${timestamp}.${outputFormats[format].extension}`,
+      content: await outputFormats[format].combine(inFormat, data.manifest),
+    }
+  }))
+
+  if (data.manifest) {
+    files.manifest = {
+      path: `${outputDir}${path.sep}manifest_${timestamp}.json`,
+      content: streamed
+        ? streamManifest(data.manifest, pluckChunks(copies[2], 'cells'))
+        : `${JSON.stringify(data.manifest, null, 2)}\n`,
+    }
+  }
+
+  if (spec) {
+    files.colspec = {
+      path: `${outputDir}${path.sep}colspec_${timestamp}.json`,
+      content: `${JSON.stringify(spec, null, 2)}\n`,
+    }
+  }
+
+  if (answers.zip) {
+    const entries = {
+      ...files,
+      answers: {
+        path: `${outputDir}${path.sep}answers_${timestamp}.json`,
+        content: `${JSON.stringify(answers, null, 2)}\n`,
+      },
+    }
+
+    return { zip: { path: `${outputDir}${path.sep}run_${timestamp}.zip`, entries } }
+  }
+
+  return files
+}
+
+/**
+ * Takes one part of each chunk of a run, e.g. its `source` rows
+ *
+ * @param   {AsyncIterable} chunks The chunks of the run
+ * @param   {string}        key    The part to take
+ * @yields  {array}                That part of each chunk
+ */
+const pluckChunks = async function * (chunks, key) {
+  for await (const chunk of chunks) {
+    yield chunk[key]
   }
 }
 
+/**
+ * Converts the manifest of a streamed run into the same JSON that is written for a
+ * complete manifest, writing out its altered cells as each chunk is generated. The rest
+ * of the manifest is written last, once every row that was removed is known.
+ *
+ * @param   {object}        manifest   The manifest of the run, without its `cells`
+ * @param   {AsyncIterable} cellChunks The altered cells in each chunk
+ * @yields  {string}                   The JSON of the manifest, a piece at a time
+ */
+const streamManifest = async function * (manifest, cellChunks) {
+  let empty = true
+
+  yield '{\n  "cells": ['
+  for await (const cells of cellChunks) {
+    if (cells.length > 0) {
+      const json = cells.map(cell => `\n    ${JSON.stringify(cell, null, 2).replace(/\n/g, '\n    ')}`).join(',')
+
+      yield `${empty ? '' : ','}${json}`
+      empty = false
+    }
+  }
+  yield `${empty ? '' : '\n  '}],${JSON.stringify(manifest, null, 2).slice(1)}\n`
+}
+
+/**
+ * Finds the column specification for each header of a table, so that writers can tell
+ * e.g. which columns hold dates. Renamed headers are looked up in the `manifest`.
+ * 
+ * @param   {array}  headers  The header row of the table
+ * @param   {array}  colspec  The array of column specifications, if known
+ * @param   {object} manifest The manifest of changes made to TARGET, if known
+ * @returns {array}           The colspec for each header (`undefined` where it isn't known)
+ */
+const getTableColumns = (headers, colspec = [], manifest = { headers: [] }) =>
+  headers.map(header => {
+    const renamed = manifest.headers.find(h => h.mangled === header)
+    const original = renamed ? renamed.original : header
+
+    return colspec.find(col => pascalCase(col.name) === original)
+  })
+
 /**
  * Generates (possibly mangled) headers from a colspec
  * 
@@ -195,30 +700,157 @@ const generateHeaders = (colspec, mangle) =>
   colspec.map(cs => mangle ? mangleName(cs.variants) : pascalCase(cs.name))
 
 /**
- * Generate all of the values for given column specification
+ * The faker date functions that take a reference date after one other (positional)
+ * parameter, and the name and default value given to that parameter when it is missing
+ */
+const refDateFunctions = {
+  past: ['years', 1],
+  future: ['years', 1],
+  recent: ['days', 1],
+  soon: ['days', 1],
+}
+
+/**
+ * Replaces a column's `refDate` with the reference date for the current run when it
+ * isn't a valid date (e.g. `'now'`), and gives one to date columns that can take one but
+ * don't have one. Otherwise faker falls back to the current time, which would make
+ * seeded runs differ from one another. A `refDate` that refers to another column is left
+ * alone. Since the parameters of most faker functions are positional, a missing
+ * parameter that comes before the reference date is given its default value.
  * 
- * @param   {object}       col    The column specification from which to generate values
- * @param   {object|array} params The parameters for the Faker function
- * @param   {number}       num    The number of values to generate
- * @returns {array}               An array of randomly generated values
+ * @param   {object} col  The column specification
+ * @param   {Date}   now  The reference date for the current run
+ * @param   {object} refs The column's references to other columns
+ * @returns {object}      The column specification with a usable `refDate`
  */
-const generateValues = (col, params, num) => {
-  const f = faker[col.cat][col.type]
-  let gen
+const resolveRefDate = (col, now, refs) => {
+  if (col.refDate === undefined && col.cat === 'date') {
+    const params = Object.keys(omit(nonParams, col))
+
+    if (col.opts && col.type === 'birthdate') {
+      return { ...col, refDate: now }
+    }
+    if (!col.opts && Object.hasOwn(refDateFunctions, col.type) && params.length <= 1) {
+      const [key, value] = refDateFunctions[col.type]
 
-  if (col.unique) {
-    gen = () => col.opts ? unique(() => f(params)) : unique(() => f(...params))
-  } else {
-    gen = () => col.opts ? f(params) : f(...params)
+      return { ...(params.length === 0 ? { [key]: value } : {}), ...col, refDate: now }
+    }
   }
-  let output
 
-  try {
-    output = Array.from({ length: num }).map(gen)
-  } catch (e) {
-    console.log('generateValues failed:', col, params, num)
-    console.log(e)
+  return col.refDate === undefined || refs.refDate || !isNaN(new Date(col.refDate)) ? col : { ...col, refDate: now }
+}
+
+/**
+ * Renumbers the values of numbered sequence columns in a column-oriented table, giving
+ * each row the value at a new position in its column's sequence. Values that have been
+ * left out stay that way.
+ * 
+ * @param   {array}    table       The column-oriented table
+ * @param   {array}    cols        The names of the columns to renumber
+ * @param   {array}    colspec     The column specification of each column of the table
+ * @param   {Function} positionsOf Returns the new position of each row, given a column's name
+ * @returns {array}                The table with the columns renumbered
+ */
+const renumberColumns = (table, cols, colspec, positionsOf) =>
+  table.map((values, c) => {
+    const col = colspec[c - 1]
+
+    if (c === 0 || !cols.includes(col.name)) {
+      return values
+    }
+    const positions = positionsOf(col.name)
+
+    return values.map((val, row) => (val === null || val === '' ? val : getColumnKind(col).generate(col, positions[row])))
+  })
+
+/**
+ * Cuts off the values of columns in a column-oriented table that are longer than the
+ * `width` of the column's field in fixed-width output, as if they had been written to
+ * that field. The values that are cut off become text.
+ * 
+ * @param   {array} table   The column-oriented table
+ * @param   {array} cols    The names of the columns whose values are cut to their width
+ * @param   {array} colspec The column specification of each column of the table
+ * @returns {array}         The table with the values cut to their width
+ */
+const truncateColumnsToWidth = (table, cols, colspec) =>
+  table.map((values, c) => {
+    const col = colspec[c - 1]
+
+    if (c === 0 || !cols.includes(col.name) || col.width === undefined) {
+      return values
+    }
+
+    return values.map(val => {
+      const text = formatFixedWidthValue(val)
+
+      return text.length > col.width ? text.slice(0, col.width) : val
+    })
+  })
+
+/**
+ * Generators of the values of `unique` columns that are unique by construction, given the
+ * column specification, the position of the row in the table and the column's seed
+ */
+const uniqueValues = {
+  sequence: (col, row) => (col.min ?? sequenceStart) + row,
+  uuid: () => faker.datatype.uuid(),
+  shuffle: (col, row, seed) => col.min + permuteIndex(row, col.max - col.min + 1, seed),
+}
+
+/**
+ * Generate all of the values for given column specification. The values of a `unique`
+ * column are generated again until an unused one is found, up to the column's
+ * `maxRetries` times, unless they are unique by construction. The generators of column
+ * kinds are also given the position of each row, e.g. to number a sequence.
+ * 
+ * @param   {object}   col          The column specification from which to generate values
+ * @param   {Function} paramsForRow Returns the parameters for the Faker function for a row
+ * @param   {number}   num          The number of values to generate
+ * @param   {number}   start        The position in the table of the first row
+ * @param   {number}   seed         The column's seed, which decides how a range is shuffled
+ * @returns {array}                 An array of randomly generated values
+ */
+const generateValues = (col, paramsForRow, num, start = 0, seed = 0) => {
+  const kind = getColumnKind(col)
+  const f = kind ? kind.generate : faker[col.cat][col.type]
+  const opts = col.opts || Boolean(kind)
+  const call = (params, position) => {
+    try {
+      if (kind) {
+        return f(params, position)
+      }
+
+      return opts ? f(params) : f(...params)
+    } catch (e) {
+      throw new Error(`generateValues failed for column "${col.name}": ${e.message}`)
+    }
+  }
+  const strategy = getUniqueStrategy(col)
+
+  if (uniqueValues[strategy]) {
+    return Array.from({ length: num }, (_, row) => uniqueValues[strategy](col, start + row, seed))
   }
+  if (!strategy) {
+    return Array.from({ length: num }, (_, row) => call(paramsForRow(row), start + row))
+  }
+  // each column keeps track of its own values, so that they are only unique within the
+  // column and a seeded run isn't affected by values generated in an earlier run
+  const used = new Set()
+  const maxRetries = col.maxRetries ?? maxUniqueRetries
+
+  return Array.from({ length: num }, (_, row) => {
+    const params = paramsForRow(row)
+
+    for (let attempt = 0; attempt < maxRetries; attempt += 1) {
+      const val = call(params, start + row)
 
-  return output
+      if (!used.has(String(val))) {
+        used.add(String(val))
+
+        return val
+      }
+    }
+    throw uniqueValueError(col)
+  })
 }
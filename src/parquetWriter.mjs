@@ -0,0 +1,96 @@
+/**
+ * Parquet Writer
+ *
+ * Writes a generated table as a Parquet file, with a schema derived from the
+ * column specifications. As with SQL, a column's type is only used if every
+ * value in the table fits it, so TARGET's schema can diverge from SOURCE's
+ * when altering a column changes its type, e.g. when dates have been altered
+ * into timestamps and locale strings.
+ *
+ * @module parquetWriter
+ */
+
+import { Writable } from 'stream'
+import { inferSqlTypes } from './sqlWriter.mjs'
+import parquet from 'parquetjs-lite'
+
+/**
+ * The compression codecs that Parquet files can be written with
+ */
+export const parquetCompressions = ['uncompressed', 'gzip', 'snappy']
+
+/**
+ * The Parquet type used for each kind of column inferred by `inferSqlType()`.
+ * Decimals are written as doubles.
+ */
+export const parquetTypes = {
+  boolean: 'BOOLEAN',
+  integer: 'INT64',
+  bigint: 'INT64',
+  decimal: 'DOUBLE',
+  float: 'DOUBLE',
+  timestamp: 'TIMESTAMP_MILLIS',
+  text: 'UTF8',
+}
+
+/**
+ * Builds the Parquet schema for a table. Every column is optional, so that it can
+ * hold empty (`null`/`undefined`) values.
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `columns` (colspecs in header order) and `compression` to use
+ * @returns {object}            The Parquet schema definition, keyed by the headers
+ */
+export const getParquetSchema = (tableArray, { columns = [], compression = 'uncompressed' } = {}) =>
+  inferSqlTypes(tableArray, columns).reduce((schema, { kind }, i) => ({
+    ...schema,
+    [tableArray[0][i]]: { type: parquetTypes[kind], optional: true, compression: compression.toUpperCase() },
+  }), {})
+
+/**
+ * Converts a value into a value of the given Parquet type
+ *
+ * @param   {*}      val  The value to be converted
+ * @param   {string} type The Parquet type of the column, one of `parquetTypes`
+ * @returns {*}           The converted value, or `undefined` for an empty value
+ */
+export const convertToParquetValue = (val, type) => {
+  if (val === null || val === undefined) {
+    return undefined
+  }
+  if (type === 'TIMESTAMP_MILLIS') {
+    return new Date(val)
+  }
+
+  return type === 'UTF8' ? String(val) : val
+}
+
+/**
+ * Takes a 2D array (array of rows) and converts it into the content of a Parquet file
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `columns` (colspecs in header order), `compression` and `rowGroupSize`
+ * @returns {Promise}           Resolves to a Buffer with the content of the Parquet file
+ */
+export const convertToParquet = async (tableArray, options = {}) => {
+  const [headers, ...rows] = tableArray
+  const fields = getParquetSchema(tableArray, options)
+  const chunks = []
+  const output = new Writable({
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk)
+      callback()
+    },
+  })
+  const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(fields), output, {
+    rowGroupSize: options.rowGroupSize || 4096,
+  })
+
+  await rows.reduce((written, row) => written.then(() => writer.appendRow(headers.reduce((obj, header, i) => ({
+    ...obj,
+    [header]: convertToParquetValue(row[i], fields[header].type),
+  }), {}))), Promise.resolve())
+  await writer.close()
+
+  return Buffer.concat(chunks)
+}
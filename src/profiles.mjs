@@ -0,0 +1,85 @@
+/**
+ * Answer Profiles
+ *
+ * A profile is a named set of answers to the CLI questions that has been saved
+ * to a JSON file in the `profiles/` directory, so that the same test scenario
+ * can be replayed later without answering all of the questions again.
+ *
+ * @module profiles
+ */
+
+import { fileURLToPath } from 'url'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * The default directory where profiles are stored
+ */
+export const profilesDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'profiles')
+
+/**
+ * Returns the absolute path to the file for a named profile. Profile names may only
+ * contain letters, numbers, underscores and hyphens.
+ *
+ * @param   {string} name The name of the profile
+ * @param   {string} dir  The directory where profiles are stored
+ * @returns {string}      The absolute path to the profile file
+ */
+export const getProfilePath = (name, dir = profilesDir) => {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid profile name "${name}". Use only letters, numbers, "_" and "-".`)
+  }
+
+  return path.join(dir, `${name}.json`)
+}
+
+/**
+ * Saves a set of answers to a named profile, overwriting it if it already exists
+ *
+ * @param   {string} name    The name of the profile
+ * @param   {object} answers The answers to the CLI questions
+ * @param   {string} dir     The directory where profiles are stored
+ * @returns {string}         The absolute path to the saved profile
+ */
+export const saveProfile = (name, answers, dir = profilesDir) => {
+  const file = getProfilePath(name, dir)
+
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(answers, null, 2)}\n`)
+
+  return file
+}
+
+/**
+ * Loads the answers stored in a named profile
+ *
+ * @param   {string} name The name of the profile
+ * @param   {string} dir  The directory where profiles are stored
+ * @returns {object}      The answers stored in the profile
+ */
+export const loadProfile = (name, dir = profilesDir) => {
+  const file = getProfilePath(name, dir)
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Profile "${name}" does not exist: ${file}`)
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+/**
+ * Returns a copy of the questions with their defaults replaced by previously given
+ * answers, e.g. from a profile, so that those answers can be edited interactively.
+ * The questions are flagged with `askAnswered` so that inquirer asks them even when
+ * the same answers are also passed to `inquirer.prompt()`.
+ *
+ * @param   {array}  questions An array of inquirer question objects
+ * @param   {object} answers   The answers to use as defaults
+ * @returns {array}            The questions with updated defaults
+ */
+export const withDefaults = (questions, answers) =>
+  questions.map(q => ({
+    ...q,
+    askAnswered: true,
+    default: answers[q.name] === undefined ? q.default : answers[q.name],
+  }))
@@ -2,29 +2,43 @@
  * These are the collection of JSON objects representing the questions to
  * be included in the CLI tool. The format is defined by the Inquirer library.
  * See: https://www.npmjs.com/package/inquirer
- * 
+ *
+ * Questions whose choices depend on the column specification are functions
+ * that take a colspec and return the question object, so that they can be
+ * built against whichever colspec file the user has chosen.
+ *
  * @module questions
  */
 
+import { colspecExtensions, defaultColspecFile, isLoadableColspecFile } from './colspecLoader.mjs'
 import {
   getColNames,
   getColsToMangleChoices,
   getDateColsChoices,
   getFloatColsChoices,
   getGeoColsChoices,
-  getOptionalCols
+  getNullableColsChoices,
+  getOptionalCols,
+  getSequenceColsChoices,
+  getTextColsChoices,
+  getWidthColsChoices
 } from './colspecUtilities.mjs'
 
-import colspec from '../colspec.mjson'
-
-const optionalColNames = getColNames(getOptionalCols(colspec)).join(', ')
+export const whichColspecFileShouldBeUsed = {
+  type: 'input',
+  name: 'colspecFile',
+  message: 'Which column specification file should be used?',
+  default: defaultColspecFile,
+  validate: val =>
+    isLoadableColspecFile(val) || `Please enter the path to an existing ${colspecExtensions.join(', ')} file`,
+}
 
-export const shouldOptionalColumnsBeIncluded = {
+export const shouldOptionalColumnsBeIncluded = colspec => ({
   type: 'confirm',
   name: 'includeOptional',
-  message: `Include optional colunns (${optionalColNames})`,
+  message: `Include optional colunns (${getColNames(getOptionalCols(colspec)).join(', ')})`,
   default: false,
-}
+})
 
 export const howManyRowsShouldBeInSource = {
   type: 'number',
@@ -40,7 +54,7 @@ export const howManyRowsShouldTargetBeRelativeToSource = {
   message: 'How many fewer/additional rows should be in the TARGET data set?',
   default: 0,
   validate: (val, { sourceCount: sc }) =>
-       !isNaN(parseInt(val, 10)) 
+       !isNaN(parseInt(val, 10))
     && parseInt(sc, 10) + parseInt(val, 10) >= 0
     || `Please enter an integer that will not result in <=0 rows in TARGET: ${sc}`,
 }
@@ -52,7 +66,7 @@ export const shouldColumnOrderBeAltered = {
   default: false,
 }
 
-export const whichColumnsShouldHaveDifferentNames = {
+export const whichColumnsShouldHaveDifferentNames = colspec => ({
   type: 'checkbox',
   name: 'mangleColNames',
   message: 'Select which columns should have their names altered between SOURCE and TARGET',
@@ -64,9 +78,9 @@ export const whichColumnsShouldHaveDifferentNames = {
     return valid || 'Please select one or more columns OR "None"'
   },
   when: ({ includeOptional }) => getColsToMangleChoices(includeOptional, colspec).length > 1,
-}
+})
 
-export const whichColumnsShouldHaveFloatsAltered = {
+export const whichColumnsShouldHaveFloatsAltered = colspec => ({
   type: 'checkbox',
   name: 'floatColsToTweak',
   message: 'Select which float columns should have their values altered between SOURCE and TARGET',
@@ -78,9 +92,9 @@ export const whichColumnsShouldHaveFloatsAltered = {
     return valid || 'Please select one or more columns OR "None"'
   },
   when: ({ includeOptional }) => getFloatColsChoices(includeOptional, colspec).length > 1,
-}
+})
 
-export const whichColumnsShouldHaveDatesAltered = {
+export const whichColumnsShouldHaveDatesAltered = colspec => ({
   type: 'checkbox',
   name: 'dateColsToMangle',
   message: 'Select which date columns should have their values altered between SOURCE and TARGET',
@@ -92,9 +106,9 @@ export const whichColumnsShouldHaveDatesAltered = {
     return valid || 'Please select one or more columns OR "None"'
   },
   when: ({ includeOptional }) => getDateColsChoices(includeOptional, colspec).length > 1,
-}
+})
 
-export const whichColumnsShouldHaveLatLonAltered = {
+export const whichColumnsShouldHaveLatLonAltered = colspec => ({
   type: 'checkbox',
   name: 'geoColsToMangle',
   message: 'Select which lat/lon columns should have their values altered between SOURCE and TARGET',
@@ -106,5 +120,108 @@ export const whichColumnsShouldHaveLatLonAltered = {
     return valid || 'Please select one or more columns OR "None"'
   },
   when: ({ includeOptional }) => getGeoColsChoices(includeOptional, colspec).length > 1,
+})
+
+export const whichColumnsShouldHaveTextTruncated = colspec => ({
+  type: 'checkbox',
+  name: 'textColsToTruncate',
+  message: 'Select which text columns should have some values truncated between SOURCE and TARGET',
+  choices: ({ includeOptional }) => getTextColsChoices(includeOptional, colspec),
+  default: ['None'],
+  validate: val => {
+    const valid = val.includes('None') && val.length === 1 || val.length > 0
+
+    return valid || 'Please select one or more columns OR "None"'
+  },
+  when: ({ includeOptional }) => getTextColsChoices(includeOptional, colspec).length > 1,
+})
+
+export const whichColumnsShouldBeCutToTheirWidth = colspec => ({
+  type: 'checkbox',
+  name: 'widthColsToTruncate',
+  message: 'Select which fixed-width columns should have values that are too long cut off at their width in TARGET',
+  choices: ({ includeOptional }) => getWidthColsChoices(includeOptional, colspec),
+  default: ['None'],
+  validate: val => {
+    const valid = val.includes('None') && val.length === 1 || val.length > 0
+
+    return valid || 'Please select one or more columns OR "None"'
+  },
+  when: ({ includeOptional }) => getWidthColsChoices(includeOptional, colspec).length > 1,
+})
+
+export const whichColumnsShouldHaveValuesNulled = colspec => ({
+  type: 'checkbox',
+  name: 'colsToNull',
+  message: 'Select which columns should have some values removed (made null) between SOURCE and TARGET',
+  choices: ({ includeOptional }) => getNullableColsChoices(includeOptional, colspec),
+  default: ['None'],
+  validate: val => {
+    const valid = val.includes('None') && val.length === 1 || val.length > 0
+
+    return valid || 'Please select one or more columns OR "None"'
+  },
+  when: ({ includeOptional }) => getNullableColsChoices(includeOptional, colspec).length > 1,
+})
+
+export const whatFractionOfValuesShouldBeNulled = {
+  type: 'number',
+  name: 'nullFraction',
+  message: 'What fraction of the values in those columns should be made null in TARGET?',
+  default: 0.1,
+  validate: val => !isNaN(parseFloat(val)) && val > 0 && val <= 1 || 'Please enter a number greater than 0 and at most 1',
+  when: ({ colsToNull }) => Boolean(colsToNull) && colsToNull.length > 0 && colsToNull[0] !== 'None',
 }
 
+export const whichSequenceColumnsShouldBeResequenced = colspec => ({
+  type: 'checkbox',
+  name: 'colsToResequence',
+  message: 'Select which sequence columns should be renumbered in TARGET, closing the gaps left by removed rows',
+  choices: ({ includeOptional }) => getSequenceColsChoices(includeOptional, colspec),
+  default: ['None'],
+  validate: val => {
+    const valid = val.includes('None') && val.length === 1 || val.length > 0
+
+    return valid || 'Please select one or more columns OR "None"'
+  },
+  when: ({ includeOptional }) => getSequenceColsChoices(includeOptional, colspec).length > 1,
+})
+
+export const whichSequenceColumnsShouldHaveGaps = colspec => ({
+  type: 'checkbox',
+  name: 'colsToGap',
+  message: 'Select which sequence columns should have gaps in their numbering in TARGET',
+  choices: ({ includeOptional }) => getSequenceColsChoices(includeOptional, colspec),
+  default: ['None'],
+  validate: val => {
+    const valid = val.includes('None') && val.length === 1 || val.length > 0
+
+    return valid || 'Please select one or more columns OR "None"'
+  },
+  when: ({ includeOptional }) => getSequenceColsChoices(includeOptional, colspec).length > 1,
+})
+
+/**
+ * Returns the full list of questions, in the order they should be asked, with
+ * the column choices built from the given colspec. The colspec file question
+ * is not included since it has to be answered before the colspec is known.
+ *
+ * @param   {array} colspec An array of objects representing column specifications
+ * @returns {array}         The array of inquirer question objects
+ */
+export const getQuestions = colspec => [
+  shouldOptionalColumnsBeIncluded(colspec),
+  howManyRowsShouldBeInSource,
+  howManyRowsShouldTargetBeRelativeToSource,
+  shouldColumnOrderBeAltered,
+  whichColumnsShouldHaveDifferentNames(colspec),
+  whichColumnsShouldHaveFloatsAltered(colspec),
+  whichColumnsShouldHaveDatesAltered(colspec),
+  whichColumnsShouldHaveLatLonAltered(colspec),
+  whichColumnsShouldHaveTextTruncated(colspec),
+  whichColumnsShouldBeCutToTheirWidth(colspec),
+  whichColumnsShouldHaveValuesNulled(colspec),
+  whatFractionOfValuesShouldBeNulled,
+  whichSequenceColumnsShouldBeResequenced(colspec),
+  whichSequenceColumnsShouldHaveGaps(colspec),
+]
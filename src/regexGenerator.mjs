@@ -0,0 +1,393 @@
+/**
+ * Regular Expression Generator
+ *
+ * Generates random strings that match a regular expression, e.g. reference
+ * numbers like `ACC-[A-Z]{3}-\d{6}`, and counts how many different strings a
+ * regular expression can match, when that can be told without listing them. Literals, escapes (`\d`, `\w`, `\s` and their
+ * negations), character classes, `.`, groups, alternation and quantifiers are
+ * supported, and anchors are ignored. Characters that are "any" character
+ * (`.` and negations) are drawn from printable ASCII, and unbounded quantifiers
+ * (`*`, `+` and `{n,}`) repeat at most `unboundedRepeats` more times.
+ *
+ * @module regexGenerator
+ */
+
+/**
+ * The most times more than its minimum that an unbounded quantifier repeats
+ */
+export const unboundedRepeats = 8
+
+/**
+ * The printable ASCII characters, from which "any" character is drawn
+ */
+const printable = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i))
+
+/**
+ * Builds the list of characters from `from` to `to`, inclusive
+ *
+ * @param   {string} from The first character
+ * @param   {string} to   The last character
+ * @returns {array}       The characters
+ */
+const charRange = (from, to) =>
+  Array.from({ length: to.charCodeAt(0) - from.charCodeAt(0) + 1 }, (_, i) => String.fromCharCode(from.charCodeAt(0) + i))
+
+const digits = charRange('0', '9')
+const wordChars = [...charRange('A', 'Z'), ...charRange('a', 'z'), ...digits, '_']
+
+/**
+ * The characters matched by each escaped class, e.g. `\d`
+ */
+const escapeClasses = {
+  d: digits,
+  w: wordChars,
+  s: [' '],
+  D: printable.filter(c => !digits.includes(c)),
+  W: printable.filter(c => !wordChars.includes(c)),
+  S: printable.filter(c => c !== ' '),
+}
+
+/**
+ * The characters written as escapes, e.g. `\t`
+ */
+const escapeChars = { n: '\n', r: '\r', t: '\t', f: '\f', v: '\v', 0: '\0' }
+
+/**
+ * Parses a regular expression into a tree: an alternation has the `options`, each a
+ * sequence of items, and each item has an `atom` (a list of `chars`, or a `group` that is
+ * another alternation) and the `min` and `max` times it is repeated. Throws an error for
+ * anything that isn't supported, e.g. backreferences and lookarounds.
+ *
+ * @param   {string} pattern The regular expression, without delimiters or flags
+ * @returns {object}         The alternation at the root of the tree
+ */
+export const parseRegex = pattern => {
+  const state = { pos: 0 }
+  const peek = () => pattern[state.pos]
+  const next = () => pattern[state.pos++]
+  const fail = message => {
+    throw new Error(`${message} at position ${state.pos} of /${pattern}/`)
+  }
+
+  const parseEscape = inClass => {
+    const char = next()
+
+    if (char === undefined) {
+      fail('Pattern ends with a lone backslash')
+    }
+    if (/[1-9k]/.test(char)) {
+      fail('Backreferences are not supported')
+    }
+    if (!inClass && /[bB]/.test(char)) {
+      // word boundaries don't add any characters
+      return []
+    }
+
+    return escapeClasses[char] || [escapeChars[char] || char]
+  }
+
+  const parseClass = () => {
+    const negated = peek() === '^'
+    const chars = new Set()
+
+    if (negated) {
+      next()
+    }
+    while (state.pos < pattern.length && (peek() !== ']' || chars.size === 0)) {
+      const char = next()
+      const from = char === '\\' ? parseEscape(true) : [char]
+
+      if (peek() === '-' && pattern[state.pos + 1] !== undefined && pattern[state.pos + 1] !== ']' && from.length === 1) {
+        next()
+        const end = next()
+        const to = end === '\\' ? parseEscape(true) : [end]
+
+        if (to.length !== 1 || to[0] < from[0]) {
+          fail('Invalid range in character class')
+        }
+        charRange(from[0], to[0]).forEach(c => chars.add(c))
+      } else {
+        from.forEach(c => chars.add(c))
+      }
+    }
+    if (next() !== ']') {
+      fail('Unterminated character class')
+    }
+
+    return negated ? printable.filter(c => !chars.has(c)) : [...chars]
+  }
+
+  const parseQuantifier = () => {
+    const bounds = pattern.slice(state.pos).match(/^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})/)
+
+    if (!bounds) {
+      return { min: 1, max: 1 }
+    }
+    state.pos += bounds[0].length
+    if (peek() === '?') {
+      // lazy and greedy quantifiers match the same strings
+      next()
+    }
+    const [, symbol, low, comma, high] = bounds
+
+    if (symbol) {
+      return { '*': { min: 0, max: unboundedRepeats }, '+': { min: 1, max: 1 + unboundedRepeats }, '?': { min: 0, max: 1 } }[symbol]
+    }
+    const min = Number(low)
+    let max = comma === undefined ? min : Number(high)
+
+    if (high === '') {
+      max = min + unboundedRepeats
+    }
+
+    if (max < min) {
+      fail('Quantifier range is out of order')
+    }
+
+    return { min, max }
+  }
+
+  const parseAtom = () => {
+    const char = next()
+
+    switch (char) {
+      case '^':
+      case '$':
+        return null
+      case '.':
+        return { chars: printable }
+      case '[':
+        return { chars: parseClass() }
+      case '\\': {
+        const chars = parseEscape(false)
+
+        return chars.length > 0 ? { chars } : null
+      }
+      case '(': {
+        if (peek() === '?') {
+          if (pattern[state.pos + 1] !== ':') {
+            fail('Lookarounds and named groups are not supported')
+          }
+          state.pos += 2
+        }
+        // eslint-disable-next-line no-use-before-define
+        const group = parseAlternation()
+
+        if (next() !== ')') {
+          fail('Unterminated group')
+        }
+
+        return { group }
+      }
+      case '*':
+      case '+':
+      case '?':
+        return fail('Nothing to repeat')
+      default:
+        return { chars: [char] }
+    }
+  }
+
+  const parseSequence = () => {
+    const items = []
+
+    while (state.pos < pattern.length && peek() !== '|' && peek() !== ')') {
+      const atom = parseAtom()
+      const quantifier = parseQuantifier()
+
+      if (atom) {
+        items.push({ atom, ...quantifier })
+      }
+    }
+
+    return items
+  }
+
+  const parseAlternation = () => {
+    const options = [parseSequence()]
+
+    while (peek() === '|') {
+      next()
+      options.push(parseSequence())
+    }
+
+    return { options }
+  }
+
+  const tree = parseAlternation()
+
+  if (state.pos < pattern.length) {
+    fail('Unmatched closing parenthesis')
+  }
+
+  return tree
+}
+
+// the tree of each regular expression, parsed once per expression
+const parsed = new Map()
+
+/**
+ * Parses a regular expression, reusing the tree if it has already been parsed
+ *
+ * @param   {string} pattern The regular expression
+ * @returns {object}         The alternation at the root of the tree
+ */
+const getTree = pattern => {
+  if (!parsed.has(pattern)) {
+    parsed.set(pattern, parseRegex(pattern))
+  }
+
+  return parsed.get(pattern)
+}
+
+/**
+ * Generates a random string that matches a regular expression
+ *
+ * @param   {string}   pattern The regular expression, without delimiters or flags
+ * @param   {Function} random  The source of randomness
+ * @returns {string}           The generated string
+ */
+export const generateFromRegex = (pattern, random = Math.random) => {
+  const pick = items => items[Math.floor(random() * items.length)]
+  const alternation = ({ options }) => sequence(pick(options))
+  const sequence = items => items
+    .map(({ atom, min, max }) => Array
+      .from({ length: min + Math.floor(random() * (max - min + 1)) }, () => (atom.chars ? pick(atom.chars) : alternation(atom.group)))
+      .join(''))
+    .join('')
+
+  return alternation(getTree(pattern))
+}
+
+/**
+ * Works out the lengths of the shortest and longest strings that an alternation, or a
+ * sequence of items, of a parsed regular expression can match
+ *
+ * @param   {*}     node An alternation (with `options`) or a sequence (an array of items)
+ * @returns {array}      The shortest and longest lengths
+ */
+const lengthsOf = node => {
+  if (!Array.isArray(node)) {
+    const lengths = node.options.map(lengthsOf)
+
+    return [Math.min(...lengths.map(([min]) => min)), Math.max(...lengths.map(([, max]) => max))]
+  }
+
+  return node.reduce(([shortest, longest], { atom, min, max }) => {
+    const [atomMin, atomMax] = atom.chars ? [1, 1] : lengthsOf(atom.group)
+
+    return [shortest + min * atomMin, longest + max * atomMax]
+  }, [0, 0])
+}
+
+/**
+ * Finds the characters that can be at a position in the strings matched by an
+ * alternation, or a sequence of items, whose strings are all the same length
+ *
+ * @param   {*}      node     An alternation (with `options`) or a sequence (an array of items)
+ * @param   {number} position The position
+ * @returns {Set}             The characters
+ */
+const charsAt = (node, position) => {
+  if (!Array.isArray(node)) {
+    return new Set(node.options.flatMap(items => [...charsAt(items, position)]))
+  }
+  let offset = position
+
+  for (const { atom, min } of node) {
+    const width = atom.chars ? 1 : lengthsOf(atom.group)[0]
+
+    if (offset < min * width) {
+      return atom.chars ? new Set(atom.chars) : charsAt(atom.group, offset % width)
+    }
+    offset -= min * width
+  }
+
+  return new Set()
+}
+
+/**
+ * Checks that no string can be matched by both of two sequences of items, as far as can
+ * be told without listing them: either their lengths differ, or they are the same length
+ * and can't have the same character at some position
+ *
+ * @param   {array}   a A sequence of items
+ * @param   {array}   b Another sequence of items
+ * @returns {boolean}   Whether the sequences are known to match different strings
+ */
+const areDisjoint = (a, b) => {
+  const [aMin, aMax] = lengthsOf(a)
+  const [bMin, bMax] = lengthsOf(b)
+
+  if (aMax < bMin || bMax < aMin) {
+    return true
+  }
+
+  return aMin === aMax && bMin === bMax && aMin === bMin &&
+    Array.from({ length: aMin }).some((_, k) => {
+      const chars = charsAt(b, k)
+
+      return ![...charsAt(a, k)].some(c => chars.has(c))
+    })
+}
+
+/**
+ * Checks that every string matched by an alternation can only be matched in one way, so
+ * that counting the ways of matching counts the different strings. This is only known to
+ * be so when the options can't match the same strings, and each sequence has at most one
+ * item whose length can vary (e.g. in `[ab]?[ab]?`, `a` can be matched by either item).
+ *
+ * @param   {object}  alternation An alternation (with `options`)
+ * @returns {boolean}             Whether every string can only be matched in one way
+ */
+const isUnambiguous = ({ options }) => {
+  const isItemUnambiguous = ({ atom, min, max }) => {
+    const [atomMin, atomMax] = atom.chars ? [1, 1] : lengthsOf(atom.group)
+
+    if (atom.group && !isUnambiguous(atom.group)) {
+      return false
+    }
+    // repeats can only be told apart if the atom's strings are all the same length
+    if (max > 1) {
+      return atomMin === atomMax && atomMin > 0
+    }
+
+    return min === max || atomMin > 0
+  }
+  const isSequenceUnambiguous = items => items.every(isItemUnambiguous) &&
+    items.filter(item => {
+      const [shortest, longest] = lengthsOf([item])
+
+      return shortest !== longest
+    }).length <= 1
+
+  return options.every(isSequenceUnambiguous) &&
+    options.every((items, i) => options.slice(i + 1).every(other => areDisjoint(items, other)))
+}
+
+/**
+ * Counts the different strings that can be generated from a regular expression. When
+ * the same string could be generated in more than one way (e.g. in `a|a` or `a?a?`), the
+ * number isn't known, and `Infinity` is returned so that no limit is claimed.
+ *
+ * @param   {string} pattern The regular expression, without delimiters or flags
+ * @returns {number}         The number of strings, which is `Infinity` if it is huge or unknown
+ */
+export const countRegexMatches = pattern => {
+  const alternation = ({ options }) => options.reduce((sum, items) => sum + sequence(items), 0)
+  // n + n^2 + ... for every number of repeats from min to max
+  const repeats = (n, min, max) => {
+    if (n === 1) {
+      return max - min + 1
+    }
+
+    return n === 0 ? Number(min === 0) : (n ** (max + 1) - n ** min) / (n - 1)
+  }
+  const sequence = items => items.reduce(
+    (product, { atom, min, max }) => product * repeats(atom.chars ? atom.chars.length : alternation(atom.group), min, max),
+    1
+  )
+  const tree = getTree(pattern)
+
+  return isUnambiguous(tree) ? alternation(tree) : Infinity
+}
@@ -0,0 +1,262 @@
+/**
+ * SQL Writer
+ *
+ * Converts the generated tables into SQL scripts that create a table and fill
+ * it with batched `INSERT` statements, so that test databases can be seeded
+ * directly. Column types are inferred from the column specifications and
+ * checked against the values actually generated, since e.g. mangled dates in
+ * TARGET may no longer be valid timestamps.
+ *
+ * @module sqlWriter
+ */
+
+/**
+ * Quotes an identifier by wrapping it in the given characters and doubling any
+ * occurrence of the closing character inside it
+ *
+ * @param   {string} open  The opening quote character
+ * @param   {string} close The closing quote character
+ * @returns {Function}     A function that quotes an identifier
+ */
+const quoteWith = (open, close) => name => `${open}${String(name).split(close).join(close + close)}${close}`
+
+/**
+ * The SQL dialects that scripts can be written for, with how each one quotes
+ * identifiers, which column types it uses and how it writes literal values
+ */
+export const sqlDialects = {
+  postgres: {
+    quoteIdentifier: quoteWith('"', '"'),
+    types: {
+      boolean: () => 'BOOLEAN',
+      integer: () => 'INTEGER',
+      bigint: () => 'BIGINT',
+      decimal: (p, s) => `NUMERIC(${p}, ${s})`,
+      float: () => 'DOUBLE PRECISION',
+      timestamp: () => 'TIMESTAMP(3)',
+      text: () => 'TEXT',
+    },
+    boolean: val => (val ? 'TRUE' : 'FALSE'),
+    string: val => `'${val.replace(/'/g, "''")}'`,
+  },
+  mysql: {
+    quoteIdentifier: quoteWith('`', '`'),
+    types: {
+      boolean: () => 'BOOLEAN',
+      integer: () => 'INT',
+      bigint: () => 'BIGINT',
+      decimal: (p, s) => `DECIMAL(${p}, ${s})`,
+      float: () => 'DOUBLE',
+      timestamp: () => 'DATETIME(3)',
+      // MySQL can't put a UNIQUE index on a TEXT column without a key length
+      text: unique => (unique ? 'VARCHAR(255)' : 'TEXT'),
+    },
+    boolean: val => (val ? '1' : '0'),
+    // backslashes are escape characters in MySQL string literals by default
+    string: val => `'${val.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`,
+  },
+  sqlite: {
+    quoteIdentifier: quoteWith('"', '"'),
+    types: {
+      boolean: () => 'INTEGER',
+      integer: () => 'INTEGER',
+      bigint: () => 'INTEGER',
+      decimal: () => 'NUMERIC',
+      float: () => 'REAL',
+      timestamp: () => 'TEXT',
+      text: () => 'TEXT',
+    },
+    boolean: val => (val ? '1' : '0'),
+    string: val => `'${val.replace(/'/g, "''")}'`,
+  },
+  mssql: {
+    quoteIdentifier: quoteWith('[', ']'),
+    types: {
+      boolean: () => 'BIT',
+      integer: () => 'INT',
+      bigint: () => 'BIGINT',
+      decimal: (p, s) => `DECIMAL(${p}, ${s})`,
+      float: () => 'FLOAT',
+      timestamp: () => 'DATETIME2(3)',
+      // SQL Server can't put a UNIQUE index on an NVARCHAR(MAX) column
+      text: unique => (unique ? 'NVARCHAR(450)' : 'NVARCHAR(MAX)'),
+    },
+    boolean: val => (val ? '1' : '0'),
+    string: val => `N'${val.replace(/'/g, "''")}'`,
+  },
+}
+
+/**
+ * The most rows that are inserted by a single `INSERT` statement. SQL Server
+ * doesn't allow more than 1000.
+ */
+export const maxBatchSize = 1000
+
+/**
+ * Matches dates in the ISO 8601 format that dates are written in, e.g. once a table
+ * has been copied as JSON
+ */
+const isoDate = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+
+/**
+ * Tells whether a value is a valid date, or a date in ISO 8601 format
+ *
+ * @param   {*}       val The value
+ * @returns {boolean}     `true` if it is a date
+ */
+export const isDate = val => (val instanceof Date && !isNaN(val)) || (typeof val === 'string' && isoDate.test(val))
+
+/**
+ * Counts the digits after the decimal point of a number
+ *
+ * @param   {number} num The number
+ * @returns {number}     The number of decimal places, or `Infinity` if it is in exponential notation
+ */
+const decimalPlaces = num => {
+  const str = String(num)
+
+  if (str.includes('e')) {
+    return Number.isInteger(num) ? 0 : Infinity
+  }
+
+  return str.includes('.') ? str.split('.')[1].length : 0
+}
+
+/**
+ * Infers the kind of SQL column needed for a column of the table. The colspec
+ * suggests the kind (`cat: 'date'` for timestamps, `dec` for fixed-point decimals,
+ * `convert` for numbers), but a kind is only used if every value actually fits it,
+ * e.g. a date column where some dates have been mangled into other formats becomes
+ * a text column.
+ *
+ * @param   {object} col    The column specification, if known
+ * @param   {array}  values The values in the column, not including the header
+ * @returns {object}        The `kind` of column, plus the `precision` and `scale` of decimals
+ */
+export const inferSqlType = (col = {}, values = []) => {
+  const present = values.filter(val => val !== null && val !== undefined)
+  const isNum = val => typeof val === 'number' && isFinite(val)
+  const hasDec = Number.isInteger(col.dec) && col.dec > 0
+
+  if (present.length === 0) {
+    // with no values to check, go by the colspec alone
+    const guesses = { timestamp: col.cat === 'date', decimal: hasDec, float: Boolean(col.convert) }
+
+    return { kind: Object.keys(guesses).find(k => guesses[k]) || 'text', precision: 18, scale: col.dec }
+  }
+  const fits = {
+    timestamp: col.cat === 'date' && present.every(isDate),
+    decimal: hasDec && present.every(val => isNum(val) && decimalPlaces(val) <= col.dec),
+    boolean: present.every(val => typeof val === 'boolean'),
+    integer: present.every(val => Number.isInteger(val) && Math.abs(val) <= 2147483647),
+    bigint: present.every(Number.isSafeInteger),
+    float: present.every(isNum),
+    text: true,
+  }
+  const kind = Object.keys(fits).find(k => fits[k])
+
+  if (kind === 'decimal') {
+    // spreading every value into Math.max() would overflow the stack for large tables
+    const digits = present.reduce((most, val) => Math.max(most, String(Math.trunc(Math.abs(val))).length), 0)
+
+    return { kind, precision: Math.min(digits + col.dec, 38), scale: col.dec }
+  }
+
+  return { kind }
+}
+
+/**
+ * Converts a single value into an SQL literal for the given dialect. Dates are
+ * written as `YYYY-MM-DD HH:MM:SS.sss` (in UTC), which all of the dialects accept.
+ * Every value in a text column is written as a string, even if it is a number.
+ *
+ * @param   {*}      val     The value to be converted
+ * @param   {string} dialect The SQL dialect, one of `sqlDialects`
+ * @param   {string} kind    The kind of column the value is in, as inferred by `inferSqlType()`
+ * @returns {string}         The SQL literal
+ */
+export const convertToSqlValue = (val, dialect = 'postgres', kind = undefined) => {
+  const d = sqlDialects[dialect]
+
+  if (val === null || val === undefined || (typeof val === 'number' && !isFinite(val))) {
+    return 'NULL'
+  }
+  if (kind === 'timestamp' && typeof val === 'string') {
+    return convertToSqlValue(new Date(val), dialect, kind)
+  }
+  if (typeof val === 'number' && kind !== 'text') {
+    return String(val)
+  }
+  if (typeof val === 'boolean' && kind !== 'text') {
+    return d.boolean(val)
+  }
+  if (val instanceof Date) {
+    return isNaN(val) ? 'NULL' : d.string(val.toISOString().replace('T', ' ').replace('Z', ''))
+  }
+
+  return d.string(String(val))
+}
+
+/**
+ * Infers the SQL type of every column of a table
+ *
+ * @param   {array} tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {array} columns    The colspecs of the columns, in header order
+ * @returns {array}            The result of `inferSqlType()` for each column
+ */
+export const inferSqlTypes = ([headers, ...rows], columns = []) =>
+  headers.map((header, i) => inferSqlType(columns[i], rows.map(row => row[i])))
+
+/**
+ * Builds the `CREATE TABLE` statement for a table. Columns that are `unique` in the
+ * colspec get a `UNIQUE` constraint, or with the `primaryKey` option, the first of
+ * them becomes the primary key.
+ *
+ * @param   {array}  headers  The header row of the table
+ * @param   {array}  sqlTypes The SQL type of each column, as inferred by `inferSqlTypes()`
+ * @param   {object} options  The `dialect`, `table` name, `columns` (colspecs in header order) and `primaryKey`
+ * @returns {string}          The `CREATE TABLE` statement
+ */
+export const createTableSql = (headers, sqlTypes, options = {}) => {
+  const { dialect = 'postgres', table = 'data', columns = [], primaryKey = false } = options
+  const { quoteIdentifier, types } = sqlDialects[dialect]
+  const keyIndex = primaryKey ? columns.findIndex(col => col && col.unique) : -1
+  const definitions = headers.map((header, i) => {
+    const col = columns[i] || {}
+    const { kind, precision, scale } = sqlTypes[i]
+    const type = types[kind](kind === 'text' ? Boolean(col.unique) : precision, scale)
+    const unique = col.unique ? ' UNIQUE' : ''
+
+    return `  ${quoteIdentifier(header)} ${type}${i === keyIndex ? ' PRIMARY KEY' : unique}`
+  })
+
+  return `CREATE TABLE ${quoteIdentifier(table)} (\n${definitions.join(',\n')}\n);\n`
+}
+
+/**
+ * Takes a 2D array (array of rows) and converts it into an SQL script that creates a
+ * table and inserts every row into it, `batchSize` rows per `INSERT` statement.
+ * Identifiers are quoted for the dialect, so (possibly mangled) headers are always
+ * valid column names.
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `dialect`, `table` name, `batchSize`, `columns` (colspecs in header
+ *                              order) and `primaryKey` (see `createTableSql()`)
+ * @returns {string}            The SQL script
+ */
+export const convertToSql = (tableArray, options = {}) => {
+  const { dialect = 'postgres', table = 'data', batchSize = 500 } = options
+  const { quoteIdentifier } = sqlDialects[dialect]
+  const [headers, ...rows] = tableArray
+  const sqlTypes = inferSqlTypes(tableArray, options.columns)
+  const insert = `INSERT INTO ${quoteIdentifier(table)} (${headers.map(quoteIdentifier).join(', ')}) VALUES`
+  const batches = Array.from({ length: Math.ceil(rows.length / batchSize) }, (_, b) => {
+    const values = rows
+      .slice(b * batchSize, (b + 1) * batchSize)
+      .map(row => `  (${row.map((val, i) => convertToSqlValue(val, dialect, sqlTypes[i].kind)).join(', ')})`)
+
+    return `${insert}\n${values.join(',\n')};\n`
+  })
+
+  return [createTableSql(headers, sqlTypes, options), ...batches].join('\n')
+}
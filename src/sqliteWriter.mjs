@@ -0,0 +1,86 @@
+/**
+ * SQLite Writer
+ *
+ * Writes the generated tables into a single SQLite database file, so that
+ * SOURCE and TARGET can be reconciled with plain SQL queries. The manifest of
+ * changes made to TARGET is stored alongside them as a third table. The
+ * database is built in memory with sql.js (SQLite compiled to WebAssembly),
+ * so no native SQLite library is needed.
+ *
+ * @module sqliteWriter
+ */
+
+import { convertToSql } from './sqlWriter.mjs'
+import initSqlJs from 'sql.js'
+
+/**
+ * The name of the table that the manifest of changes is stored in
+ */
+export const manifestTable = 'manifest'
+
+/**
+ * The columns of the manifest table. Every change is one row, and `change` tells
+ * which kind of change it is:
+ * - `cell`: a value that was changed, with the row's id and the (SOURCE) column name
+ * - `header`: a renamed column, with its original and new name
+ * - `column_order`: a TARGET column, with its `original` (SOURCE) and `mangled` (TARGET) index
+ * - `removed_row`: a row that was removed from the table named in `table_name`
+ */
+export const manifestColumns = ['change', 'table_name', 'row_id', 'column_name', 'original', 'mangled', 'type']
+
+/**
+ * Flattens a manifest of changes into rows for the manifest table
+ *
+ * @param   {object} manifest The manifest of changes made to TARGET, as made by `generate()`
+ * @param   {object} names    The names of the `source` and `target` tables in the database
+ * @returns {array}           A 2D array (array of rows) whose first row is the header row
+ */
+export const convertManifestToTable = (manifest, names = { source: 'source', target: 'target' }) => [
+  manifestColumns,
+  ...manifest.cells.map(({ id, column, original, mangled, type }) =>
+    ['cell', names.target, id, column, original, mangled, type]),
+  ...manifest.headers.map(({ original, mangled }) =>
+    ['header', names.target, null, original, original, mangled, null]),
+  ...manifest.columnOrder.map((original, mangled) =>
+    ['column_order', names.target, null, null, original, mangled, null]),
+  ...['source', 'target'].flatMap(table => manifest.removedRows[table].map(id =>
+    ['removed_row', names[table], id, null, null, null, null])),
+]
+
+/**
+ * Writes tables into a new SQLite database. Each table is created with typed columns
+ * derived from its colspec, with a primary key on its first `unique` column.
+ *
+ * @param   {object} tables   The `source` and/or `target` tables to write, each as `{ data, options }`,
+ *                            where `data` is a 2D array (array of rows) and `options` has the
+ *                            `table` name to use in the database and the colspecs of its `columns`
+ * @param   {object} manifest The manifest of changes made to TARGET, stored as a table if given
+ * @returns {Promise}         Resolves to a Buffer with the contents of the database file
+ */
+export const convertToSqlite = async (tables, manifest) => {
+  const names = Object.keys(tables).reduce((n, key) => ({ ...n, [key]: tables[key].options.table }), {
+    source: 'source',
+    target: 'target',
+  })
+  const used = [...Object.values(tables).map(({ options }) => options.table), ...(manifest ? [manifestTable] : [])]
+  const duplicate = used.find((name, i) => used.indexOf(name) !== i)
+
+  if (duplicate !== undefined) {
+    throw new Error(`Every table in a SQLite database needs a different name: "${duplicate}" is used twice`)
+  }
+  const SQL = await initSqlJs()
+  const db = new SQL.Database()
+
+  try {
+    Object.values(tables).forEach(({ data, options }) => {
+      db.exec(convertToSql(data, { ...options, dialect: 'sqlite', primaryKey: true }))
+    })
+    if (manifest) {
+      db.exec(convertToSql(convertManifestToTable(manifest, names), { dialect: 'sqlite', table: manifestTable }))
+    }
+
+    return Buffer.from(db.export())
+  } finally {
+    db.close()
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Worker Pool
+ *
+ * Runs tasks in a pool of worker threads, so that CPU-bound work such as
+ * generating values with faker can be spread across cores. The worker script
+ * is given the pool's `workerData` when it starts, receives each task as a
+ * message `{ id, task }`, and replies with `{ id, result }` or, if the task
+ * failed, `{ id, error }`.
+ *
+ * @module workerPool
+ */
+
+import { Worker } from 'worker_threads'
+
+/**
+ * The number of tasks that are sent to each worker before any of their results are
+ * needed, so that the workers are kept busy without results piling up
+ */
+export const tasksPerWorker = 2
+
+/**
+ * Runs every task in a pool of worker threads and yields the results in the order of
+ * the tasks. The workers are stopped once every result has been yielded, or as soon as
+ * a task fails.
+ *
+ * @param   {URL}    script     The worker script
+ * @param   {*}      workerData The data passed to every worker when it starts
+ * @param   {array}  tasks      The tasks, which are passed to the workers one at a time
+ * @param   {number} count      The number of workers
+ * @yields  {*}                 The result of each task
+ */
+export const runInWorkers = async function * (script, workerData, tasks, count) {
+  const workers = Array.from({ length: Math.min(count, tasks.length) }, () => new Worker(script, { workerData }))
+  const callbacks = new Map()
+  const inFlight = []
+  let sent = 0
+
+  workers.forEach(worker => {
+    worker.on('message', ({ id, result, error }) => {
+      const { resolve, reject } = callbacks.get(id)
+
+      callbacks.delete(id)
+      if (error) {
+        reject(new Error(error))
+      } else {
+        resolve(result)
+      }
+    })
+    // a worker that fails to start or crashes takes every task still waiting with it
+    worker.on('error', error => {
+      callbacks.forEach(({ reject }) => reject(error))
+      callbacks.clear()
+    })
+  })
+
+  const send = () => {
+    if (sent < tasks.length) {
+      const id = sent
+      const result = new Promise((resolve, reject) => {
+        callbacks.set(id, { resolve, reject })
+      })
+
+      // it is only awaited once the results before it have been yielded
+      result.catch(() => undefined)
+      workers[id % workers.length].postMessage({ id, task: tasks[id] })
+      inFlight.push(result)
+      sent += 1
+    }
+  }
+  const results = function * () {
+    Array.from({ length: workers.length * tasksPerWorker }).forEach(send)
+    while (inFlight.length > 0) {
+      const result = inFlight.shift()
+
+      send()
+      yield result
+    }
+  }
+
+  try {
+    for await (const result of results()) {
+      yield result
+    }
+  } finally {
+    await Promise.all(workers.map(worker => worker.terminate()))
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Excel Writer
+ *
+ * Writes the generated tables as the sheets of a single Excel (.xlsx) workbook,
+ * so that results can be reviewed in a spreadsheet. Numbers are written as
+ * numeric cells and dates as date cells, except for the dates in TARGET that
+ * were deliberately altered into timestamps or locale strings, which are
+ * written as they are. The cells that were altered in TARGET can be
+ * highlighted so that reviewers can see the intended differences.
+ *
+ * @module xlsxWriter
+ */
+
+import ExcelJS from 'exceljs'
+import { isDate } from './sqlWriter.mjs'
+
+/**
+ * The number format used for date cells
+ */
+export const dateFormat = 'yyyy-mm-dd hh:mm:ss.000'
+
+/**
+ * The fill used to highlight altered cells
+ */
+export const highlightFill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFFF00' } }
+
+/**
+ * Converts a value into the value of a spreadsheet cell. Dates in ISO 8601 format
+ * in date columns become real dates. Anything else, e.g. a date that was altered
+ * into a timestamp, is kept as it is.
+ *
+ * @param   {*}      val The value to be converted
+ * @param   {object} col The colspec of the column that the value is in, if known
+ * @returns {*}          The cell value
+ */
+export const convertToXlsxValue = (val, col = {}) => {
+  if (val === undefined) {
+    return null
+  }
+
+  return col.cat === 'date' && typeof val === 'string' && isDate(val) ? new Date(val) : val
+}
+
+/**
+ * Finds the cells of TARGET that were altered, according to the manifest. That is,
+ * every changed value, plus the headers of renamed columns. Rows are found by their
+ * id, which is in the first column. The manifest identifies rows by their ids in
+ * SOURCE, so ids that were renumbered in TARGET are looked up by their new values.
+ *
+ * @param   {array}  tableArray The TARGET 2D array (array of rows) whose first row is the header row
+ * @param   {object} manifest   The manifest of changes made to TARGET, as made by `generate()`
+ * @returns {array}             The `[row, column]` indices of the altered cells
+ */
+export const getMangledCells = ([headers, ...rows], manifest) => {
+  const rowIndex = new Map(rows.map((row, i) => [row[0], i + 1]))
+  const header = column => {
+    const renamed = manifest.headers.find(h => h.original === column)
+
+    return renamed ? renamed.mangled : column
+  }
+  const renamedId = manifest.headers.find(h => h.mangled === headers[0])
+  const idColumn = renamedId ? renamedId.original : headers[0]
+  // a renumbered id may be renumbered again, so its last new value is the one in TARGET
+  const targetIds = new Map(manifest.cells
+    .filter(cell => cell.column === idColumn && ['resequence', 'gap'].includes(cell.type))
+    .map(cell => [cell.id, cell.mangled]))
+  const rowOf = id => rowIndex.get(targetIds.has(id) ? targetIds.get(id) : id)
+
+  return [
+    ...manifest.headers.map(({ mangled }) => [0, headers.indexOf(mangled)]),
+    ...manifest.cells.map(({ id, column }) => [rowOf(id), headers.indexOf(header(column))]),
+  ].filter(([row, col]) => row !== undefined && col >= 0)
+}
+
+/**
+ * Writes tables into a new Excel workbook, one sheet per table, named after the table.
+ * With the `highlight` option, the cells of TARGET that were altered are highlighted.
+ *
+ * @param   {object} tables   The `source` and/or `target` tables to write, each as `{ data, options }`,
+ *                            where `data` is a 2D array (array of rows) and `options` has the
+ *                            `table` (sheet) name, the colspecs of its `columns` and `highlight`
+ * @param   {object} manifest The manifest of changes made to TARGET, needed for highlighting
+ * @returns {Promise}         Resolves to a Buffer with the contents of the workbook file
+ */
+export const convertToXlsx = async (tables, manifest) => {
+  const workbook = new ExcelJS.Workbook()
+
+  Object.entries(tables).forEach(([table, { data: [headers, ...rows], options }]) => {
+    const { columns = [] } = options
+    const sheet = workbook.addWorksheet(options.table)
+
+    sheet.addRow(headers).font = { bold: true }
+    rows.forEach(row => {
+      const added = sheet.addRow(row.map((val, i) => convertToXlsxValue(val, columns[i])))
+
+      // only real dates get the date format, so e.g. altered timestamps are shown as numbers
+      added.eachCell(cell => {
+        if (cell.value instanceof Date) {
+          cell.numFmt = dateFormat
+        }
+      })
+    })
+    if (options.highlight && table === 'target' && manifest) {
+      getMangledCells([headers, ...rows], manifest).forEach(([row, col]) => {
+        sheet.getCell(row + 1, col + 1).fill = highlightFill
+      })
+    }
+  })
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
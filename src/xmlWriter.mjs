@@ -0,0 +1,94 @@
+/**
+ * XML Writer
+ *
+ * Writes a generated table as an XML document: a root element containing one
+ * element per row. Each column is written as a child element of the row, or
+ * as an attribute of it when its colspec has `xml: 'attribute'`. The (possibly
+ * mangled) headers are used as the names, so that naming drift in TARGET is
+ * still tested.
+ *
+ * @module xmlWriter
+ */
+
+/**
+ * The names used in the XML declaration for the encodings that output can be written in
+ */
+export const xmlEncodings = { utf8: 'UTF-8', utf16le: 'UTF-16', latin1: 'ISO-8859-1' }
+
+/**
+ * Checks whether a string is a valid XML element or attribute name (without a namespace
+ * prefix)
+ *
+ * @param   {string}  name The name
+ * @returns {boolean}      Whether or not the name is valid
+ */
+export const isXmlName = name => /^[A-Za-z_][\w.-]*$/.test(name) && !/^xml/i.test(name)
+
+/**
+ * Converts a header into a valid XML name by replacing any characters that aren't
+ * allowed with underscores
+ *
+ * @param   {string} header The header
+ * @returns {string}        The XML name
+ */
+export const toXmlName = header => {
+  const name = String(header).replace(/[^\w.-]/g, '_')
+
+  return isXmlName(name) ? name : `_${name}`
+}
+
+/**
+ * Escapes a value for use as the text of an element or, with `attribute`, as the value
+ * of an attribute. Characters that aren't allowed in XML at all are replaced with U+FFFD.
+ *
+ * @param   {*}       val       The value to be escaped
+ * @param   {boolean} attribute Whether the value is for an attribute
+ * @returns {string}            The escaped text
+ */
+export const escapeXml = (val, attribute = false) => {
+  const text = (val instanceof Date ? val.toISOString() : String(val))
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f\ufffe\uffff]/g, '\ufffd')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+
+  // line breaks and tabs in attributes would otherwise be normalized to spaces
+  return attribute
+    ? text.replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;')
+    : text
+}
+
+/**
+ * Takes a 2D array (array of rows) and converts it into an XML document. Empty
+ * (`null`/`undefined`) values are left out. A document declared as UTF-16 has to start
+ * with a byte order mark, so one is added unless the file is already to be given one.
+ *
+ * @param   {array}  tableArray The 2D array (array of rows) whose first row is the header row
+ * @param   {object} options    The `rootElement` and `rowElement` names, the `table` name (the
+ *                              default root element), the `columns` (colspecs in header order),
+ *                              the `encoding` the document will be written in and whether the
+ *                              file will start with a `bom`
+ * @returns {string}            The XML document
+ */
+export const convertToXml = ([headers, ...rows], options = {}) => {
+  const { table = 'data', rowElement = 'row', columns = [], encoding = 'utf8', bom = false } = options
+  const root = options.rootElement || toXmlName(table)
+  const names = headers.map(toXmlName)
+  const isAttribute = i => Boolean(columns[i]) && columns[i].xml === 'attribute'
+  const present = val => val !== null && val !== undefined
+  const records = rows.map(row => {
+    const attributes = row
+      .map((val, i) => (isAttribute(i) && present(val) ? ` ${names[i]}="${escapeXml(val, true)}"` : ''))
+      .join('')
+    const elements = row
+      .map((val, i) => (!isAttribute(i) && present(val) ? `    <${names[i]}>${escapeXml(val)}</${names[i]}>\n` : ''))
+      .join('')
+
+    return elements ? `  <${rowElement}${attributes}>\n${elements}  </${rowElement}>\n` : `  <${rowElement}${attributes}/>\n`
+  })
+
+  const mark = encoding === 'utf16le' && !bom ? '\ufeff' : ''
+
+  return `${mark}<?xml version="1.0" encoding="${xmlEncodings[encoding]}"?>\n<${root}>\n${records.join('')}</${root}>\n`
+}
@@ -0,0 +1,225 @@
+/**
+ * Unit tests for the functions that convert command-line flags into answers.
+ *
+ * @module
+ */
+
+import {
+  convertFlagValue,
+  getFlagName,
+  getFlagOptions,
+  parseArguments,
+  usage,
+  validateAnswers
+} from '../src/arguments.mjs'
+import {
+  getQuestions,
+  howManyRowsShouldBeInSource,
+  whichColspecFileShouldBeUsed
+} from '../src/questions.mjs'
+import colspec from './colspec.mjs'
+
+const questions = [whichColspecFileShouldBeUsed, ...getQuestions(colspec)]
+const whichColumnsShouldHaveDatesAltered = questions.find(q => q.name === 'dateColsToMangle')
+
+describe('Command-Line Arguments', () => {
+  it('can convert a question name into a flag name', () => {
+    expect(getFlagName('sourceCount')).toBe('source-count')
+    expect(getFlagName('includeOptional')).toBe('include-optional')
+  })
+
+  it('can build parseArgs options from a list of questions', () => {
+    const opts = getFlagOptions(questions)
+
+    expect(opts['include-optional']).toEqual({ type: 'boolean' })
+    expect(opts['no-include-optional']).toEqual({ type: 'boolean' })
+    expect(opts['source-count']).toEqual({ type: 'string' })
+    expect(opts['mangle-col-names']).toEqual({ type: 'string', multiple: true })
+    expect(opts.help.type).toBe('boolean')
+  })
+
+  it('can convert raw flag values into answer types', () => {
+    expect(convertFlagValue(howManyRowsShouldBeInSource, '50')).toBe(50)
+    expect(convertFlagValue(howManyRowsShouldBeInSource, '')).toBeNaN()
+    expect(convertFlagValue(whichColumnsShouldHaveDatesAltered, ['Transaction Date, Verification Date', 'X']))
+      .toEqual(['Transaction Date', 'Verification Date', 'X'])
+  })
+
+  it('can parse a full set of flags into an answers object', () => {
+    const { help, answers } = parseArguments([
+      '--colspec-file', 'test/colspec.yaml',
+      '--include-optional',
+      '--source-count', '50',
+      '--row-diff=-5',
+      '--no-cols-randomized',
+      '--mangle-col-names', 'None',
+      '--float-cols-to-tweak', 'Transaction Amount,Transaction Fee',
+      '--date-cols-to-mangle', 'Transaction Date',
+      '--geo-cols-to-mangle', 'From Latitude',
+      '--cols-to-null', 'Sender Name',
+      '--null-fraction', '0.25',
+    ], questions)
+
+    expect(help).toBe(false)
+    expect(answers).toEqual({
+      colspecFile: 'test/colspec.yaml',
+      includeOptional: true,
+      sourceCount: 50,
+      rowDiff: -5,
+      colsRandomized: false,
+      mangleColNames: ['None'],
+      floatColsToTweak: ['Transaction Amount', 'Transaction Fee'],
+      dateColsToMangle: ['Transaction Date'],
+      geoColsToMangle: ['From Latitude'],
+      colsToNull: ['Sender Name'],
+      nullFraction: 0.25,
+    })
+  })
+
+  it('leaves out answers that were not supplied so they can be prompted for', () => {
+    const { answers } = parseArguments(['--source-count', '10'], questions)
+
+    expect(answers).toEqual({ sourceCount: 10 })
+  })
+
+  it('can recognize a request for help', () => {
+    expect(parseArguments(['--help'], questions).help).toBe(true)
+    expect(parseArguments(['-h'], questions).help).toBe(true)
+    expect(usage(questions)).toContain('--source-count <number>')
+  })
+
+  it('can parse the profile flags', () => {
+    const { profile, saveProfile, editProfile, answers } = parseArguments([
+      '--profile', 'nightly',
+      '--save-profile', 'nightly-small',
+      '--source-count', '10',
+    ], questions)
+
+    expect(profile).toBe('nightly')
+    expect(saveProfile).toBe('nightly-small')
+    expect(editProfile).toBeUndefined()
+    expect(answers).toEqual({ sourceCount: 10 })
+    expect(parseArguments(['--edit-profile', 'nightly'], questions).editProfile).toBe('nightly')
+  })
+
+  it('can parse a seed into the answers', () => {
+    expect(parseArguments(['--seed', '42'], questions).answers).toEqual({ seed: 42 })
+    expect(parseArguments(['--seed=-7'], questions).answers).toEqual({ seed: -7 })
+    expect(() => parseArguments(['--seed', 'abc'], questions)).toThrow(/--seed/)
+    expect(() => parseArguments(['--seed', '1.5'], questions)).toThrow(/--seed/)
+  })
+
+  it('can parse the number of worker threads into the answers', () => {
+    expect(parseArguments(['--workers', '4'], questions).answers).toEqual({ workers: 4 })
+    expect(parseArguments(['--workers', '0'], questions).answers).toEqual({ workers: 0 })
+    expect(() => parseArguments(['--workers', '-1'], questions)).toThrow(/--workers/)
+    expect(() => parseArguments(['--workers', 'two'], questions)).toThrow(/--workers/)
+  })
+
+  it('can parse a request to bundle the output into a zip archive', () => {
+    expect(parseArguments(['--zip'], questions).answers).toEqual({ zip: true })
+    expect(parseArguments(['--target-gzip'], questions).answers.output).toEqual({ source: {}, target: { gzip: true } })
+  })
+
+  it('can parse output options for both tables or for just one', () => {
+    const { answers } = parseArguments(['--quoting', 'minimal', '--target-quoting', 'all'], questions)
+
+    expect(answers.output).toEqual({ source: { quoting: 'minimal' }, target: { quoting: 'all' } })
+    expect(parseArguments(['--source-quoting', 'all'], questions).answers.output)
+      .toEqual({ source: { quoting: 'all' }, target: {} })
+    expect(parseArguments(['--target-format', 'ndjson'], questions).answers.output)
+      .toEqual({ source: {}, target: { format: 'ndjson' } })
+    expect(parseArguments(['--format', 'parquet', '--compression', 'snappy', '--row-group-size', '1000'], questions)
+      .answers.output.target).toEqual({ format: 'parquet', compression: 'snappy', rowGroupSize: 1000 })
+    expect(parseArguments(['--format', 'sqlite', '--target-table-name', 'tgt'], questions).answers.output)
+      .toEqual({ source: { format: 'sqlite' }, target: { format: 'sqlite', tableName: 'tgt' } })
+    expect(parseArguments(['--format', 'xml', '--root-element', 'Transactions', '--row-element', 'Transaction'], questions)
+      .answers.output.source).toEqual({ format: 'xml', rootElement: 'Transactions', rowElement: 'Transaction' })
+    expect(() => parseArguments(['--row-element', '1st row'], questions)).toThrow(/--row-element/)
+    expect(parseArguments(['--format', 'sql', '--target-dialect', 'mssql', '--batch-size', '100'], questions).answers.output)
+      .toEqual({
+        source: { format: 'sql', batchSize: 100 },
+        target: { format: 'sql', dialect: 'mssql', batchSize: 100 },
+      })
+    expect(parseArguments([], questions).answers.output).toBeUndefined()
+  })
+
+  it('can convert named output options into the values the writers use', () => {
+    const { answers } = parseArguments([
+      '--delimiter', 'pipe',
+      '--target-delimiter', ';;',
+      '--newline', 'lf',
+      '--target-encoding', 'UTF-16LE',
+      '--target-bom',
+    ], questions)
+
+    expect(answers.output).toEqual({
+      source: { delimiter: '|', newline: '\n' },
+      target: { delimiter: ';;', newline: '\n', encoding: 'utf16le', bom: true },
+    })
+  })
+
+  it('rejects invalid output options', () => {
+    expect(() => parseArguments(['--target-quoting', 'some'], questions)).toThrow(/^--target-quoting/)
+    expect(() => parseArguments(['--target-format', 'yaml'], questions)).toThrow(/^--target-format/)
+    expect(() => parseArguments(['--dialect', 'oracle'], questions)).toThrow(/^--dialect/)
+    expect(() => parseArguments(['--batch-size', '1001'], questions)).toThrow(/^--batch-size/)
+    expect(() => parseArguments(['--compression', 'lzo'], questions)).toThrow(/^--compression/)
+    expect(() => parseArguments(['--row-group-size', '0'], questions)).toThrow(/^--row-group-size/)
+    expect(() => parseArguments(['--delimiter', '"'], questions)).toThrow(/^--delimiter/)
+    expect(() => parseArguments(['--source-newline', 'crcr'], questions)).toThrow(/^--source-newline/)
+    expect(() => parseArguments(['--encoding', 'ebcdic'], questions)).toThrow(/^--encoding/)
+    expect(() => parseArguments(['--encoding', 'latin1', '--source-bom'], questions)).toThrow(/^--source-bom/)
+  })
+
+  it('throws on unknown flags', () => {
+    expect(() => parseArguments(['--bogus'], questions)).toThrow()
+  })
+
+  it('accepts answers that pass the question validation rules', () => {
+    const answers = {
+      includeOptional: false,
+      sourceCount: 10,
+      rowDiff: -5,
+      colsRandomized: true,
+      mangleColNames: ['From', 'To'],
+      floatColsToTweak: ['None'],
+      dateColsToMangle: ['None'],
+    }
+
+    expect(validateAnswers(answers, questions)).toEqual([])
+  })
+
+  it('rejects a colspec file that does not exist or cannot be loaded', () => {
+    expect(validateAnswers({ colspecFile: 'test/colspec.mjs' }, questions)).toEqual([])
+    expect(validateAnswers({ colspecFile: 'test/nope.json' }, questions)[0]).toMatch(/^--colspec-file/)
+    expect(validateAnswers({ colspecFile: 'test/toBeBetween.txt' }, questions)[0]).toMatch(/^--colspec-file/)
+  })
+
+  it('rejects answers that fail the question validation rules', () => {
+    const answers = {
+      includeOptional: false,
+      sourceCount: 0,
+      rowDiff: -5,
+      mangleColNames: [],
+      geoColsToMangle: ['From Latitude'],
+      colsToNull: ['id'],
+      nullFraction: 1.5,
+    }
+    const errors = validateAnswers(answers, questions)
+
+    expect(errors.length).toBe(6)
+    expect(errors[0]).toMatch(/^--source-count/)
+    expect(errors[1]).toMatch(/^--row-diff/)
+    expect(errors[2]).toMatch(/^--mangle-col-names/)
+    expect(errors[3]).toMatch(/^--geo-cols-to-mangle: invalid choice/)
+    expect(errors[4]).toMatch(/^--cols-to-null: invalid choice\(s\) id/)
+    expect(errors[5]).toMatch(/^--null-fraction/)
+  })
+
+  it('only validates the answers it is asked to', () => {
+    const answers = { sourceCount: 0, rowDiff: 1 }
+
+    expect(validateAnswers(answers, questions, ['rowDiff'])).toEqual([])
+  })
+})
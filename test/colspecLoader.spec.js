@@ -0,0 +1,78 @@
+/**
+ * Unit tests for loading column specifications from files chosen at runtime.
+ *
+ * @module
+ */
+
+import { defaultColspecFile, isLoadableColspecFile, loadColspec } from '../src/colspecLoader.mjs'
+import colspec from './colspec.mjs'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+describe('Column Specification Loader', () => {
+
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'colspec-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('can load a colspec from an ES module', async () => {
+    expect(await loadColspec('test/colspec.mjs')).toEqual(colspec)
+  })
+
+  it('can load a colspec from a JSON file', async () => {
+    expect(await loadColspec('test/colspec.json')).toEqual(colspec)
+  })
+
+  it('can load a colspec from a YAML file', async () => {
+    expect(await loadColspec(path.resolve('test/colspec.yaml'))).toEqual(colspec)
+  })
+
+  it('can load the default colspec', async () => {
+    const loaded = await loadColspec(defaultColspecFile)
+
+    expect(Array.isArray(loaded)).toBe(true)
+    expect(loaded.length).toBeGreaterThan(0)
+  })
+
+  it('rejects files that do not exist', async () => {
+    await expect(loadColspec('test/nope.json')).rejects.toThrow(/does not exist/)
+  })
+
+  it('rejects files with an unsupported extension', async () => {
+    const file = path.join(dir, 'colspec.txt')
+
+    fs.writeFileSync(file, '[]')
+    await expect(loadColspec(file)).rejects.toThrow(/must be one of/)
+  })
+
+  it('rejects files that do not contain an array', async () => {
+    const file = path.join(dir, 'colspec.json')
+
+    fs.writeFileSync(file, '{ "name": "id" }')
+    await expect(loadColspec(file)).rejects.toThrow(/must be an array/)
+  })
+
+  it('finds the files that values are read from next to the colspec file', async () => {
+    const file = path.join(dir, 'colspec.json')
+    const tiers = { name: 'Tier', cat: 'list', type: 'file', file: 'tiers.txt' }
+    const statuses = { name: 'Status', cat: 'list', type: 'file', file: path.resolve('test/statuses.txt') }
+
+    fs.writeFileSync(file, JSON.stringify([tiers, statuses]))
+    expect(await loadColspec(file)).toEqual([{ ...tiers, file: path.join(dir, 'tiers.txt') }, statuses])
+  })
+
+  it('can tell whether a file can be loaded as a colspec', () => {
+    expect(isLoadableColspecFile('test/colspec.yaml')).toBe(true)
+    expect(isLoadableColspecFile('test/toBeBetween.mjs')).toBe(true)
+    expect(isLoadableColspecFile('test/nope.yaml')).toBe(false)
+    expect(isLoadableColspecFile('README.md')).toBe(false)
+    expect(isLoadableColspecFile(undefined)).toBe(false)
+  })
+})
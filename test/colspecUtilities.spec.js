@@ -6,18 +6,32 @@
 
 import {
   addNone,
+  findReferenceCycle,
   getColNames,
   getColsToMangleChoices,
   getColsWithNameVariants,
+  getColumnReferences,
   getDateCols,
   getDateColsChoices,
   getFloatCols,
   getFloatColsChoices,
   getGeoCols,
   getGeoColsChoices,
+  getGenerationOrder,
+  getNullableCols,
+  getNullableColsChoices,
   getOptionalCols,
   getRequiredCols,
-  getSelectedCols
+  getSelectedCols,
+  getSequenceCols,
+  getSequenceColsChoices,
+  getTemplatePlaceholders,
+  getTextCols,
+  getTextColsChoices,
+  getUniqueStrategy,
+  getValueSpaceSize,
+  getWidthCols,
+  getWidthColsChoices
 } from '../src/colspecUtilities.mjs'
 
 // using a standard set of column specifications for testing
@@ -144,10 +158,141 @@ describe('Column Specification Utilities', () => {
     expect(requiredColNames.length).toBe(requiredColsWithGeo.length + 1)
   })
 
+  it('can create a list of column names whose text can be truncated', () => {
+    expect(getColNames(getTextCols(colspec))).toEqual(['From', 'To', 'Sender Name', 'Receiver Name', 'Account Type'])
+    expect(getTextColsChoices(true, colspec)).toEqual(['None', ...getColNames(getTextCols(colspec))])
+  })
+
+  it('does not offer to truncate numbers drawn from distributions or booleans', () => {
+    const numeric = [
+      { name: 'Visits', cat: 'distribution', type: 'poisson', lambda: 4 },
+      { name: 'Rank', cat: 'distribution', type: 'zipf', n: 50, s: 1.1 },
+      { name: 'Spend', cat: 'distribution', type: 'lognormal', mu: 5, sigma: 1.2, dec: 2 },
+      { name: 'Flag', cat: 'datatype', type: 'boolean' },
+      { name: 'Nickname', cat: 'name', type: 'firstName' },
+    ]
+
+    expect(getTextColsChoices(true, numeric)).toEqual(['None', 'Nickname'])
+    expect(getFloatColsChoices(true, numeric)).toEqual(['None', 'Spend'])
+  })
+
+  it('can create a list of column names whose values can be cut to their fixed width', () => {
+    const fixed = [
+      { name: 'id', cat: 'datatype', type: 'number', unique: true, width: 6 },
+      { name: 'Row', cat: 'sequence', type: 'integer', width: 4 },
+      { name: 'Name', cat: 'name', type: 'lastName', width: 10 },
+      { name: 'Note', cat: 'lorem', type: 'words', width: 20, optional: true },
+      { name: 'City', cat: 'address', type: 'city' },
+    ]
+
+    expect(getColNames(getWidthCols(fixed))).toEqual(['Name', 'Note'])
+    expect(getWidthColsChoices(false, fixed)).toEqual(['None', 'Name'])
+  })
+
+  it('can create a list of column names whose values can be made null', () => {
+    expect(getColNames(getNullableCols(colspec))).not.toContain('id')
+    expect(getNullableCols(colspec).length).toBe(colspec.length - 1)
+    expect(getNullableColsChoices(false, colspec)).toEqual(['None', ...getColNames(getNullableCols(getRequiredCols(colspec)))])
+  })
+
+  it('can create a list of column names whose sequences can be renumbered', () => {
+    const sequences = [
+      { name: 'Row', cat: 'sequence', type: 'integer' },
+      { name: 'Invoice', cat: 'sequence', type: 'prefixed', prefix: 'INV-', optional: true },
+      { name: 'Key', cat: 'sequence', type: 'ulid' },
+      ...colspec,
+    ]
+
+    expect(getColNames(getSequenceCols(sequences))).toEqual(['Row', 'Invoice'])
+    expect(getSequenceColsChoices(false, sequences)).toEqual(['None', 'Row'])
+    expect(getSequenceColsChoices(true, colspec)).toEqual(['None'])
+    expect(getColNames(getTextCols(sequences))).not.toContain('Invoice')
+    expect(getColNames(getNullableCols(sequences))).not.toContain('Key')
+  })
+
   it('can add the value "None" to the beginning of a string array', () => {
     let choices = ['choice 1', 'choice 2', 'choice 3']
 
     choices = addNone(choices)
     expect(choices[0]).toBe('None')
   })
+
+  it('can tell how the values of a column are made unique', () => {
+    expect(getUniqueStrategy(colspec[0])).toBe('retry')
+    expect(getUniqueStrategy({ ...colspec[0], unique: 'shuffle' })).toBe('shuffle')
+    expect(getUniqueStrategy({ ...colspec[0], unique: false })).toBeUndefined()
+    expect(getUniqueStrategy(colspec[1])).toBeUndefined()
+  })
+
+  it('can count the different values that can be generated for a column', () => {
+    expect(getValueSpaceSize(colspec[0])).toBe(899999)
+    expect(getValueSpaceSize({ ...colspec[0], precision: 10 })).toBe(90000)
+    expect(getValueSpaceSize({ ...colspec[0], opts: false })).toBe(Infinity)
+    expect(getValueSpaceSize({ ...colspec[0], unique: 'shuffle', min: 1, max: 10 })).toBe(10)
+    expect(getValueSpaceSize({ ...colspec[0], unique: 'sequence', min: undefined, max: 10 })).toBe(10)
+    expect(getValueSpaceSize({ ...colspec[0], unique: 'sequence', max: undefined })).toBe(Infinity)
+    expect(getValueSpaceSize({ ...colspec[0], unique: 'uuid' })).toBe(Infinity)
+    expect(getValueSpaceSize({ name: 'Flag', cat: 'datatype', type: 'boolean' })).toBe(2)
+    expect(getValueSpaceSize({ name: 'Fee', cat: 'finance', type: 'amount', min: 2, max: 3, dec: 2 })).toBe(101)
+    expect(getValueSpaceSize({ name: 'Tier', cat: 'list', type: 'values', values: ['a', 'b', 'a', 'c'], weights: [1, 1, 1, 0] })).toBe(2)
+    expect(getValueSpaceSize({ name: 'Tier', cat: 'list', type: 'file', file: 'tiers.txt' })).toBe(Infinity)
+    expect(getValueSpaceSize({ name: 'Rank', cat: 'distribution', type: 'zipf', n: 50 })).toBe(50)
+    expect(getValueSpaceSize({ name: 'Rank', cat: 'distribution', type: 'zipf', n: 50, min: 5.5, max: 20 })).toBe(15)
+    expect(getValueSpaceSize({ name: 'Code', cat: 'pattern', type: 'regex', pattern: '[AB]\\d' })).toBe(20)
+    expect(getValueSpaceSize({ name: 'Code', cat: 'pattern', type: 'regex', pattern: '[ab]?[ab]?' })).toBe(Infinity)
+    expect(getValueSpaceSize(colspec[1])).toBe(Infinity)
+  })
+
+  it('can find the parameters that refer to other columns', () => {
+    expect(getColumnReferences(colspec[2], colspec)).toEqual({ refDate: 'Transaction Date' })
+    expect(getColumnReferences(colspec[1], colspec)).toEqual({})
+  })
+
+  it('can find the columns that a template refers to', () => {
+    const cols = [
+      { name: 'Sender Name' },
+      { name: 'Label', cat: 'pattern', type: 'template', template: '{{ Sender Name }} ({{finance.account}}) {{Label2}}' },
+    ]
+
+    expect(getTemplatePlaceholders(cols[1].template)).toEqual(['Sender Name', 'finance.account', 'Label2'])
+    expect(getColumnReferences(cols[1], cols)).toEqual({ '{{Sender Name}}': 'Sender Name' })
+    expect(getColumnReferences({ ...cols[1], type: 'regex', pattern: 'Sender Name' }, cols)).toEqual({})
+  })
+
+  it('does not treat the name or variants of a column as references', () => {
+    const cols = [{ name: 'A', variants: ['B'] }, { name: 'B', type: 'A' }]
+
+    expect(getColumnReferences(cols[0], cols)).toEqual({})
+    expect(getColumnReferences(cols[1], cols)).toEqual({})
+  })
+
+  it('can find cycles of references between columns', () => {
+    const cols = [
+      { name: 'A', x: 'B' },
+      { name: 'B', y: 'C' },
+      { name: 'C', z: 'A' },
+    ]
+
+    expect(findReferenceCycle(colspec)).toEqual([])
+    expect(findReferenceCycle(cols)).toEqual(['A', 'B', 'C', 'A'])
+    expect(findReferenceCycle([{ name: 'A', x: 'A' }])).toEqual(['A', 'A'])
+  })
+
+  it('can order columns so that referenced columns are generated first', () => {
+    const cols = [
+      { name: 'A', x: 'C' },
+      { name: 'B' },
+      { name: 'C', y: 'B' },
+      { name: 'D' },
+    ]
+
+    expect(getGenerationOrder(colspec)).toEqual(colspec.map((_, i) => i))
+    expect(getGenerationOrder(cols)).toEqual([1, 2, 0, 3])
+  })
+
+  it('refuses to order columns that refer to each other in a cycle', () => {
+    const cols = [{ name: 'A', x: 'B' }, { name: 'B', y: 'A' }]
+
+    expect(() => getGenerationOrder(cols)).toThrow('Columns refer to each other in a cycle: A -> B -> A')
+  })
 })
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for validating column specifications before generation.
+ *
+ * @module
+ */
+
+import {
+  assertUniqueCapacity,
+  assertValidColspec,
+  checkUniqueCapacity,
+  validateColspec,
+  validateColumn
+} from '../src/colspecValidator.mjs'
+import baseColSpec from './colspec.mjs'
+
+describe('Column Specification Validator', () => {
+
+  let colspec
+
+  beforeEach(() => {
+    // initialize `colspec` with a deep copy of `baseColSpec`
+    colspec = JSON.parse(JSON.stringify(baseColSpec))
+  })
+
+  it('accepts a valid column specification', () => {
+    expect(validateColspec(colspec)).toEqual([])
+    expect(assertValidColspec(colspec)).toBe(colspec)
+  })
+
+  it('rejects a colspec that is not a non-empty array', () => {
+    expect(validateColspec([]).length).toBe(1)
+    expect(validateColspec({}).length).toBe(1)
+  })
+
+  it('rejects columns that are not objects', () => {
+    expect(validateColumn('id', 0)).toEqual(['Column 0: must be an object'])
+    expect(validateColumn(null, 1)).toEqual(['Column 1: must be an object'])
+  })
+
+  it('requires a name, cat and type', () => {
+    const problems = validateColumn({ name: '' }, 2)
+
+    expect(problems.length).toBe(3)
+    expect(problems[0]).toMatch(/^Column 2: "name" is required/)
+    expect(problems[1]).toMatch(/"cat" is required/)
+    expect(problems[2]).toMatch(/"type" is required/)
+  })
+
+  it('reports faker categories and functions that do not exist', () => {
+    const badCat = validateColumn({ ...colspec[3], cat: 'finanse' }, 3)
+    const badType = validateColumn({ ...colspec[3], type: 'amout' }, 3)
+
+    expect(badCat).toEqual(['Column 3 ("Transaction Amount"): "finanse" is not a faker category'])
+    expect(badType).toEqual(['Column 3 ("Transaction Amount"): "amout" is not a faker function in the "finance" category'])
+  })
+
+  it('requires variants to be an array of names', () => {
+    expect(validateColumn({ ...colspec[1], variants: 'Txn Date' }, 1)[0]).toMatch(/"variants" must be an array/)
+    expect(validateColumn({ ...colspec[1], variants: ['Txn Date', 5] }, 1)[0]).toMatch(/"variants" must be a non-empty/)
+  })
+
+  it('requires flags to be booleans', () => {
+    expect(validateColumn({ ...colspec[0], convert: 'yes' }, 0)).toEqual(['Column 0 ("id"): "convert" must be true or false'])
+  })
+
+  it('checks how unique values are made unique', () => {
+    expect(validateColumn({ ...colspec[0], unique: 'shuffle', maxRetries: 10 }, 0)).toEqual([])
+    expect(validateColumn({ ...colspec[0], unique: 'sequence', min: undefined, max: undefined }, 0)).toEqual([])
+    expect(validateColumn({ ...colspec[0], unique: 'yes' }, 0))
+      .toEqual(['Column 0 ("id"): "unique" must be true, false or one of retry, sequence, uuid, shuffle'])
+    expect(validateColumn({ ...colspec[0], maxRetries: 0 }, 0)[0]).toMatch(/"maxRetries" must be a positive integer/)
+    expect(validateColumn({ ...colspec[0], unique: 'shuffle', max: undefined }, 0))
+      .toEqual(['Column 0 ("id"): "max" must be an integer when "unique" is "shuffle"'])
+    expect(validateColumn({ ...colspec[0], unique: 'sequence', min: 1.5 }, 0)[0])
+      .toMatch(/"min" must be an integer when "unique" is "sequence"/)
+  })
+
+  it('can check that unique columns have room for every row', () => {
+    const tiny = colspec.map((col, i) => (i === 0 ? { ...col, max: 100010 } : col))
+
+    expect(checkUniqueCapacity(colspec, 1000)).toEqual([])
+    expect(checkUniqueCapacity(tiny, 10)).toEqual([])
+    expect(checkUniqueCapacity(tiny, 11)).toEqual(['Column 0 ("id"): 11 unique values are needed but only 10 can be generated'])
+    expect(checkUniqueCapacity([{ ...colspec[0], optional: true, max: 100010 }], 11, false)).toEqual([])
+    expect(() => assertUniqueCapacity(tiny, 11)).toThrow(/^Not enough unique values:\nColumn 0/)
+  })
+
+  it('checks that dec, min and max are sane', () => {
+    expect(validateColumn({ ...colspec[3], dec: -1 }, 3)[0]).toMatch(/"dec" must be a non-negative integer/)
+    expect(validateColumn({ ...colspec[3], dec: 1.5 }, 3)[0]).toMatch(/"dec" must be a non-negative integer/)
+    expect(validateColumn({ ...colspec[3], min: '100' }, 3)[0]).toMatch(/"min" must be a number/)
+    expect(validateColumn({ ...colspec[3], min: 100, max: 10 }, 3)[0]).toMatch(/"min" \(100\) must not be greater than "max" \(10\)/)
+  })
+
+  it('checks columns whose values are drawn from lists', () => {
+    const list = { name: 'Tier', cat: 'list', type: 'values', values: ['Gold', 'Silver'] }
+
+    expect(validateColumn(list, 2)).toEqual([])
+    expect(validateColumn({ ...list, type: 'choice' }, 2))
+      .toEqual(['Column 2 ("Tier"): "choice" is not a type of "list" column (values, file)'])
+    expect(validateColumn({ ...list, weights: [1] }, 2))
+      .toEqual(['Column 2 ("Tier"): "weights" must be an array with a weight for each of the values'])
+    expect(validateColumn({ ...list, type: 'file', file: 'test/nope.txt' }, 2)[0]).toMatch(/"file" does not exist/)
+  })
+
+  it('checks columns whose values are drawn from distributions', () => {
+    const counts = { name: 'Logins', cat: 'distribution', type: 'poisson', lambda: 3, min: 0, max: 10 }
+
+    expect(validateColumn(counts, 4)).toEqual([])
+    expect(validateColumn({ ...counts, lambda: 0 }, 4)).toEqual(['Column 4 ("Logins"): "lambda" must be a positive number'])
+    expect(validateColumn({ ...counts, min: 11 }, 4)[0]).toMatch(/"min" \(11\) must not be greater than "max" \(10\)/)
+    expect(validateColumn({ ...counts, type: 'gamma' }, 4)[0]).toMatch(/"gamma" is not a type of "distribution" column/)
+  })
+
+  it('checks sequence columns', () => {
+    const invoice = { name: 'Invoice', cat: 'sequence', type: 'prefixed', prefix: 'INV-', digits: 6 }
+
+    expect(validateColumn(invoice, 0)).toEqual([])
+    expect(validateColumn({ ...invoice, step: 0 }, 0)).toEqual(['Column 0 ("Invoice"): "step" must be a non-zero integer'])
+    expect(validateColumn({ ...invoice, type: 'uuidv1' }, 0)[0]).toMatch(/"uuidv1" is not a type of "sequence" column \(integer, padded, prefixed, uuidv4, uuidv7, ulid\)/)
+  })
+
+  it('checks columns whose values follow a pattern or template', () => {
+    const ref = { name: 'Reference', cat: 'pattern', type: 'regex', pattern: 'ACC-\\d{6}', unique: true }
+    const label = { name: 'Label', cat: 'pattern', type: 'template', template: '{{Reference}}: {{lorem.word}}' }
+
+    expect(validateColspec([ref, label])).toEqual([])
+    expect(validateColspec([{ ...ref, pattern: '[' }, label])[0]).toMatch(/^Column 0 \("Reference"\): "pattern" can't be generated from/)
+    expect(validateColspec([label])).toEqual(['Column 0 ("Label"): "{{Reference}}" in "template" is neither a column nor a faker function'])
+    expect(validateColspec([{ ...label, template: '{{Label}}' }])[0]).toMatch(/refer to each other in a cycle: Label -> Label/)
+  })
+
+  it('checks the rates at which values are left out', () => {
+    expect(validateColumn({ ...colspec[3], nullRate: 0.1, blankRate: 0.05 }, 3)).toEqual([])
+    expect(validateColumn({ ...colspec[3], nullRate: 1.5 }, 3)[0]).toMatch(/"nullRate" must be a number from 0 to 1/)
+    expect(validateColumn({ ...colspec[3], blankRate: '0.1' }, 3)[0]).toMatch(/"blankRate" must be a number from 0 to 1/)
+    expect(validateColumn({ ...colspec[3], nullRate: 0.6, blankRate: 0.6 }, 3)[0]).toMatch(/must not add up to more than 1/)
+    expect(validateColumn({ ...colspec[0], nullRate: 0.1 }, 0)[0]).toMatch(/a "unique" column can't have values left out/)
+  })
+
+  it('checks the fixed-width layout settings', () => {
+    expect(validateColumn({ ...colspec[5], width: 8, align: 'right', pad: '0' }, 5)).toEqual([])
+    expect(validateColumn({ ...colspec[5], width: 0 }, 5)[0]).toMatch(/"width" must be a positive integer/)
+    expect(validateColumn({ ...colspec[5], align: 'center' }, 5)[0]).toMatch(/"align" must be one of left, right/)
+    expect(validateColumn({ ...colspec[5], pad: '00' }, 5)[0]).toMatch(/"pad" must be a single character/)
+  })
+
+  it('checks how a column is written in xml output', () => {
+    expect(validateColumn({ ...colspec[5], xml: 'attribute' }, 5)).toEqual([])
+    expect(validateColumn({ ...colspec[5], xml: 'text' }, 5)[0]).toMatch(/"xml" must be one of element, attribute/)
+  })
+
+  it('reports names that are not unique after conversion to PascalCase', () => {
+    colspec[5].name = 'transaction amount'
+    const problems = validateColspec(colspec)
+
+    expect(problems).toEqual([
+      'Column 5 ("transaction amount"): header "TransactionAmount" duplicates Column 3 ("Transaction Amount")',
+    ])
+  })
+
+  it('reports every problem at once', () => {
+    colspec[1].type = 'pastt'
+    colspec[3].max = 1
+    colspec[6].name = 'From'
+    const problems = validateColspec(colspec)
+
+    expect(problems.length).toBe(3)
+    expect(() => assertValidColspec(colspec)).toThrow(/Column 1 \("Transaction Date"\)[\s\S]*Column 3[\s\S]*Column 6/)
+  })
+
+  it('reports columns that refer to each other in a cycle', () => {
+    colspec[1].refDate = 'Verification Date'
+
+    expect(validateColspec(colspec)).toEqual([
+      'Columns refer to each other in a cycle: Transaction Date -> Verification Date -> Transaction Date',
+    ])
+  })
+
+  it('reports required columns that refer to optional columns', () => {
+    colspec[2].refDate = 'From Latitude'
+
+    expect(validateColspec(colspec)).toEqual([
+      'Column 2 ("Verification Date"): "refDate" refers to optional column "From Latitude" but this column is required',
+    ])
+  })
+})
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for the kinds of columns whose values don't come from faker.
+ *
+ * @module
+ */
+
+import {
+  chooseWeighted,
+  columnKinds,
+  getColumnKind,
+  parseCsv,
+  prepareColumn,
+  randomFraction,
+  readValueList
+} from '../src/columnKinds.mjs'
+import { faker } from '@faker-js/faker'
+
+describe('Column Kinds', () => {
+
+  const currencies = { name: 'Currency', cat: 'list', type: 'file', file: 'test/currencies.csv' }
+
+  beforeEach(() => {
+    faker.seed(123)
+  })
+
+  it('can draw seeded random fractions from faker', () => {
+    const fractions = Array.from({ length: 1000 }, randomFraction)
+
+    expect(fractions.every(f => f >= 0 && f < 1)).toBe(true)
+    faker.seed(123)
+    expect(Array.from({ length: 1000 }, randomFraction)).toEqual(fractions)
+  })
+
+  it('can choose values in proportion to their weights', () => {
+    const weights = [6, 3, 1, 0]
+    const chosen = Array.from({ length: 2000 }, () => chooseWeighted(['a', 'b', 'c', 'd'], weights))
+    const share = val => chosen.filter(c => c === val).length / 2000
+
+    expect(share('a')).toBeGreaterThan(0.55)
+    expect(share('a')).toBeLessThan(0.65)
+    expect(share('b')).toBeGreaterThan(0.25)
+    expect(share('b')).toBeLessThan(0.35)
+    expect(share('c')).toBeGreaterThan(0.05)
+    expect(share('d')).toBe(0)
+    expect(new Set(Array.from({ length: 200 }, () => chooseWeighted(['a', 'b', 'c'])))).toEqual(new Set(['a', 'b', 'c']))
+  })
+
+  it('can parse CSV text', () => {
+    expect(parseCsv('a,b\r\n"x, ""y""",\n1,"2\n3"')).toEqual([['a', 'b'], ['x, "y"', ''], ['1', '2\n3']])
+    expect(parseCsv('a,b\n')).toEqual([['a', 'b']])
+    expect(parseCsv('')).toEqual([])
+  })
+
+  it('can read a list of values from a text or CSV file', () => {
+    expect(readValueList({ file: 'test/statuses.txt' })).toEqual({ values: ['Active', 'Suspended', 'Closed'] })
+    expect(readValueList(currencies)).toEqual({ values: ['USD', 'EUR', 'GBP'] })
+    expect(readValueList({ ...currencies, column: 'Name', weightColumn: 'Share' }))
+      .toEqual({ values: ['Dollar, US', 'Euro', 'Pound "Sterling"'], weights: [6, 3, 1] })
+    expect(() => readValueList({ ...currencies, column: 'Symbol' })).toThrow(/"Symbol" is not a column of test\/currencies.csv/)
+  })
+
+  it('can find the kind of a column', () => {
+    expect(getColumnKind(currencies)).toBe(columnKinds.list.file)
+    expect(getColumnKind({ cat: 'list', type: 'toString' })).toBeUndefined()
+    expect(getColumnKind({ cat: 'finance', type: 'amount' })).toBeUndefined()
+  })
+
+  it('can prepare a column by reading its list of values', () => {
+    const prepared = prepareColumn({ ...currencies, weightColumn: 'Share' })
+
+    expect(prepared).toEqual({ ...currencies, weightColumn: 'Share', values: ['USD', 'EUR', 'GBP'], weights: [6, 3, 1] })
+    expect(columnKinds.list.file.generate(prepared)).toMatch(/^(USD|EUR|GBP)$/)
+    expect(prepareColumn({ cat: 'finance', type: 'amount' })).toEqual({ cat: 'finance', type: 'amount' })
+  })
+
+  it('can draw numbers from statistical distributions', () => {
+    const { distribution } = columnKinds
+    const draw = (type, params, n = 5000) => Array.from({ length: n }, () => distribution[type].generate(params))
+    const mean = values => values.reduce((sum, val) => sum + val, 0) / values.length
+    const variance = values => mean(values.map(val => (val - mean(values)) ** 2))
+    const normal = draw('normal', { mean: 100, sd: 15 })
+    const lognormal = draw('lognormal', { mu: 0, sigma: 0.5 })
+    const counts = draw('poisson', { lambda: 4 })
+    const bigCounts = draw('poisson', { lambda: 400 })
+    const ranks = draw('zipf', { n: 10 })
+
+    expect(mean(normal)).toBeCloseTo(100, 0)
+    expect(Math.sqrt(variance(normal))).toBeCloseTo(15, 0)
+    expect(mean(lognormal)).toBeCloseTo(Math.exp(0.125), 1)
+    expect(mean(draw('exponential', { rate: 2 }))).toBeCloseTo(0.5, 1)
+    expect(counts.every(Number.isInteger)).toBe(true)
+    expect(mean(counts)).toBeCloseTo(4, 0)
+    expect(variance(counts)).toBeCloseTo(4, 0)
+    expect(mean(bigCounts) / 400).toBeCloseTo(1, 1)
+    expect(variance(bigCounts) / 400).toBeCloseTo(1, 0)
+    expect(ranks.every(rank => Number.isInteger(rank) && rank >= 1 && rank <= 10)).toBe(true)
+    expect(ranks.filter(rank => rank === 1).length).toBeGreaterThan(ranks.filter(rank => rank === 2).length)
+  })
+
+  it('can clamp and round the numbers drawn from a distribution', () => {
+    const amounts = Array.from({ length: 1000 }, () =>
+      columnKinds.distribution.lognormal.generate({ mu: 4, sigma: 1.5, min: 1, max: 500, dec: 2 }))
+
+    expect(amounts.every(val => val >= 1 && val <= 500 && Number(val.toFixed(2)) === val)).toBe(true)
+    expect(amounts).toContain(500)
+    expect(Array.from({ length: 100 }, () => columnKinds.distribution.normal.generate({ dec: 0 })))
+      .toEqual(expect.arrayContaining([0]))
+    expect(Object.is(columnKinds.distribution.normal.generate({ mean: -0.1, sd: 0.01, dec: 0 }), 0)).toBe(true)
+  })
+
+  it('can check the parameters of a distribution', () => {
+    const { distribution } = columnKinds
+
+    expect(distribution.normal.validate({ mean: 10, sd: 2 })).toEqual([])
+    expect(distribution.normal.validate({ mean: '10', sd: 0 })).toEqual(['"mean" must be a number', '"sd" must be a positive number'])
+    expect(distribution.poisson.validate({ lambda: -1 })).toEqual(['"lambda" must be a positive number'])
+    expect(distribution.zipf.validate({})).toEqual(['"n" is required'])
+    expect(distribution.zipf.validate({ n: 2.5, s: 1 })).toEqual(['"n" must be a positive integer'])
+  })
+
+  it('can check the values and weights of a list', () => {
+    const { values, file } = columnKinds.list
+
+    expect(values.validate({ values: ['a', 'b'], weights: [1, 0] })).toEqual([])
+    expect(values.validate({ values: [] })).toEqual(['"values" must be a non-empty array'])
+    expect(values.validate({ values: ['a'], weights: [1, 2] })[0]).toMatch(/a weight for each of the values/)
+    expect(values.validate({ values: ['a'], weights: [-1] })[0]).toMatch(/must be a non-negative number/)
+    expect(values.validate({ values: ['a'], weights: [0] })[0]).toMatch(/must be greater than 0/)
+    expect(file.validate(currencies)).toEqual([])
+    expect(file.validate({ ...currencies, file: 'test/nope.csv' })).toEqual(['"file" does not exist: test/nope.csv'])
+    expect(file.validate({ ...currencies, weightColumn: 'Code' })[0]).toMatch(/non-negative number \(from test\/currencies.csv\)/)
+    expect(file.validate({ ...currencies, column: 'Symbol' })[0]).toMatch(/is not a column/)
+  })
+
+  it('can number the rows of a sequence', () => {
+    const { integer, padded, prefixed } = columnKinds.sequence
+    const numbers = (kind, col) => [0, 1, 2].map(position => kind.generate(col, position))
+
+    expect(numbers(integer, {})).toEqual([1, 2, 3])
+    expect(numbers(integer, { start: 1000, step: -10 })).toEqual([1000, 990, 980])
+    expect(numbers(padded, { digits: 4, start: 9 })).toEqual(['0009', '0010', '0011'])
+    expect(padded.generate({ digits: 3, start: -5 }, 0)).toBe('-005')
+    expect(numbers(prefixed, { prefix: 'INV-', digits: 5 })).toEqual(['INV-00001', 'INV-00002', 'INV-00003'])
+    expect(numbers(prefixed, { prefix: 'T', step: 5 })).toEqual(['T1', 'T6', 'T11'])
+    expect(integer.validate({ start: 0, step: 2 })).toEqual([])
+    expect(integer.validate({ start: 1.5, step: 0 })).toEqual(['"start" must be an integer', '"step" must be a non-zero integer'])
+    expect(padded.validate({})).toEqual(['"digits" is required'])
+    expect(prefixed.validate({ prefix: 7, digits: 0 })).toEqual(['"prefix" must be a string', '"digits" must be a positive integer'])
+  })
+
+  it('can generate ids that sort in the order of the rows', () => {
+    const { uuidv4, uuidv7, ulid } = columnKinds.sequence
+    const refDate = '2024-02-29T12:00:00.000Z'
+    const uuids = [0, 1, 2, 1000].map(position => uuidv7.generate({ refDate }, position))
+    const ulids = [0, 1, 2, 1000].map(position => ulid.generate({ refDate }, position))
+
+    uuids.forEach(id => expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/))
+    expect(uuids[0].startsWith('018df4bc-5600-7')).toBe(true)
+    expect([...uuids].sort()).toEqual(uuids)
+    ulids.forEach(id => expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/))
+    expect(ulids[0].startsWith('01HQTBRNG0')).toBe(true)
+    expect([...ulids].sort()).toEqual(ulids)
+    expect(uuidv4.generate({}, 0)).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(prepareColumn({ name: 'Key', cat: 'sequence', type: 'ulid' }).refDate).toBe('now')
+    expect(ulid.validate({ refDate })).toEqual([])
+    expect(ulid.validate({ refDate: '1969-12-31' })).toEqual(['"refDate" must not be before 1970'])
+  })
+
+  it('can generate strings from a regular expression', () => {
+    const { regex } = columnKinds.pattern
+
+    Array.from({ length: 20 }, () => regex.generate({ pattern: 'ACC-[A-Z]{3}-\\d{6}' }))
+      .forEach(val => expect(val).toMatch(/^ACC-[A-Z]{3}-\d{6}$/))
+    expect(regex.validate({ pattern: '[A-Z]+' })).toEqual([])
+    expect(regex.validate({})).toEqual(['"pattern" must be a non-empty regular expression'])
+    expect(regex.validate({ pattern: '(a' })[0]).toMatch(/"pattern" can't be generated from: Invalid regular expression/)
+    expect(regex.validate({ pattern: '(a)\\1' })[0]).toMatch(/Backreferences are not supported/)
+  })
+
+  it('can fill in a template with other columns\' values and faker calls', () => {
+    const { template } = columnKinds.pattern
+    const params = {
+      template: '{{Sender Name}} <{{ internet.email }}> #{{datatype.number({ "min": 1, "max": 9 })}}{{Note}}',
+      '{{Sender Name}}': 'Ada',
+      '{{Note}}': null,
+    }
+
+    expect(template.generate(params)).toMatch(/^Ada <\S+@\S+> #[1-9]$/)
+    expect(template.generate({ template: 'on {{Date}}', '{{Date}}': new Date(0) })).toBe('on 1970-01-01T00:00:00.000Z')
+    expect(template.validate(params, ['Sender Name', 'Note'])).toEqual([])
+    expect(template.validate({ template: '' })).toEqual(['"template" must be a non-empty string'])
+    expect(template.validate({ template: '{{Sender Name}} {{name.nope}}' }, ['Note'])).toEqual([
+      '"{{Sender Name}}" in "template" is neither a column nor a faker function',
+      '"{{name.nope}}" in "template" is neither a column nor a faker function',
+    ])
+  })
+})
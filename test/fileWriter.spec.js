@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the functions that write the generated files to disk.
+ *
+ * @module
+ */
+
+import { toReadable, writeFiles } from '../src/fileWriter.mjs'
+import fs from 'fs'
+import { teeChunks } from '../src/generatorUtilities.mjs'
+import { gunzipSync } from 'zlib'
+import os from 'os'
+import path from 'path'
+
+describe('File Writer', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-writer-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  /**
+   * Collects the content of a readable stream
+   *
+   * @param   {Readable} stream The stream to be read
+   * @returns {Promise}         Resolves to a Buffer with the content of the stream
+   */
+  const read = async stream => {
+    const chunks = []
+
+    for await (const chunk of stream) {
+      chunks.push(Buffer.from(chunk))
+    }
+
+    return Buffer.concat(chunks)
+  }
+
+  it('can stream text, Buffers and iterables of chunks', async () => {
+    expect((await read(toReadable({ content: 'abc' }))).toString()).toBe('abc')
+    expect((await read(toReadable({ content: Buffer.from('abc') }))).toString()).toBe('abc')
+    expect((await read(toReadable({ content: [Buffer.from('a'), Buffer.from('bc')] }))).toString()).toBe('abc')
+    expect(gunzipSync(await read(toReadable({ content: 'abc', gzip: true }))).toString()).toBe('abc')
+  })
+
+  it('can write files, compressing those marked with gzip', async () => {
+    const files = {
+      source: { path: path.join(dir, 'out', 'source.csv.gz'), content: [Buffer.from('"Id"\r\n'), Buffer.from('1\r\n')], gzip: true },
+      manifest: { path: path.join(dir, 'out', 'manifest.json'), content: '{}\n' },
+    }
+
+    expect(await writeFiles(files)).toEqual([files.source.path, files.manifest.path])
+    expect(gunzipSync(fs.readFileSync(files.source.path)).toString()).toBe('"Id"\r\n1\r\n')
+    expect(fs.readFileSync(files.manifest.path, 'utf8')).toBe('{}\n')
+  })
+
+  it('removes every file when generating their content fails', async () => {
+    const chunks = function * () {
+      yield Buffer.from('"Id"\r\n')
+      throw new Error('Could not generate a unique value for column "id"')
+    }
+    const [source, target] = teeChunks(chunks(), 2)
+    const files = {
+      source: { path: path.join(dir, 'source.csv'), content: source },
+      target: { path: path.join(dir, 'target.csv.gz'), content: target, gzip: true },
+    }
+
+    await expect(writeFiles(files)).rejects.toThrow('Could not generate a unique value for column "id"')
+    expect(fs.readdirSync(dir)).toEqual([])
+  })
+
+  it('removes every file when one of them can\'t be written', async () => {
+    const chunks = Array.from({ length: 20 }, (_, i) => Buffer.from(`${i}\r\n`))
+    const [source, target] = teeChunks(chunks, 2)
+
+    fs.writeFileSync(path.join(dir, 'taken'), '')
+    await expect(writeFiles({
+      source: { path: path.join(dir, 'source.csv'), content: source },
+      target: { path: path.join(dir, 'taken', 'target.csv'), content: target },
+    })).rejects.toThrow(/EEXIST|ENOTDIR/)
+    expect(fs.readdirSync(dir)).toEqual(['taken'])
+
+    const [again, other] = teeChunks(chunks, 2)
+
+    fs.mkdirSync(path.join(dir, 'folder'))
+    await expect(writeFiles({
+      source: { path: path.join(dir, 'source.csv'), content: again },
+      target: { path: path.join(dir, 'folder'), content: other },
+    })).rejects.toThrow(/EISDIR/)
+    expect(fs.readdirSync(dir).sort()).toEqual(['folder', 'taken'])
+  })
+
+  it('can bundle files into a zip archive', async () => {
+    const zipPath = path.join(dir, 'run.zip')
+
+    await writeFiles({
+      zip: {
+        path: zipPath,
+        entries: {
+          source: { path: path.join(dir, 'source.csv'), content: [Buffer.from('"Id"\r\n'), Buffer.from('1\r\n')] },
+          answers: { path: path.join(dir, 'answers.json'), content: '{"zip":true}\n' },
+        },
+      },
+    })
+
+    const zip = fs.readFileSync(zipPath)
+
+    expect(zip.subarray(0, 2).toString()).toBe('PK')
+    expect(fs.existsSync(path.join(dir, 'source.csv'))).toBe(false)
+    // the central directory at the end of the archive lists the names of the entries
+    expect(zip.includes('source.csv')).toBe(true)
+    expect(zip.includes('answers.json')).toBe(true)
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for the functions that write tables as fixed-width records.
+ *
+ * @module
+ */
+
+import {
+  convertToCopybook,
+  convertToFixedWidth,
+  fitFixedWidthValue,
+  formatFixedWidthValue,
+  getFixedWidthLayout,
+  toCobolName
+} from '../src/fixedWidthWriter.mjs'
+
+describe('Fixed-Width Writer', () => {
+  const table = [
+    ['Id', 'Name', 'Amount'],
+    [1, 'Acme', 12.5],
+    [22, null, 3],
+  ]
+
+  it('can format values as text', () => {
+    expect(formatFixedWidthValue(null)).toBe('')
+    expect(formatFixedWidthValue(12.5)).toBe('12.5')
+    expect(formatFixedWidthValue(new Date('2020-01-02T03:04:05.678Z'))).toBe('2020-01-02T03:04:05.678Z')
+  })
+
+  it('can work out the layout from the values', () => {
+    expect(getFixedWidthLayout(table)).toEqual([
+      { name: 'Id', start: 1, width: 2, align: 'right', pad: ' ' },
+      { name: 'Name', start: 3, width: 4, align: 'left', pad: ' ' },
+      { name: 'Amount', start: 7, width: 4, align: 'right', pad: ' ' },
+    ])
+  })
+
+  it('can work out the layout of a table with hundreds of thousands of rows', () => {
+    const rows = Array.from({ length: 300000 }, (_, i) => [i, 'x'])
+
+    expect(getFixedWidthLayout([['Id', 'Flag'], ...rows]).map(({ width }) => width)).toEqual([6, 1])
+  })
+
+  it('can take the width, alignment and padding of a column from its colspec', () => {
+    const columns = [{ width: 5, pad: '0' }, { width: 6, align: 'right' }, undefined]
+    const layout = getFixedWidthLayout(table, columns)
+
+    expect(layout[0]).toEqual({ name: 'Id', start: 1, width: 5, align: 'right', pad: '0' })
+    expect(layout[1]).toEqual({ name: 'Name', start: 6, width: 6, align: 'right', pad: ' ' })
+    expect(layout[2].start).toBe(12)
+  })
+
+  it('widens a field rather than cut off a value that is longer than its width', () => {
+    const columns = [{ width: 1 }, { width: 3 }, { width: 6 }]
+
+    expect(getFixedWidthLayout(table, columns).map(({ width }) => width)).toEqual([2, 4, 6])
+    expect(convertToFixedWidth(table, { columns, newline: '\n' })).toBe(' 1Acme  12.5\n22         3\n')
+  })
+
+  it('can pad values to fit their field', () => {
+    expect(fitFixedWidthValue('ab', { width: 4, align: 'left', pad: ' ' })).toBe('ab  ')
+    expect(fitFixedWidthValue(7, { width: 4, align: 'right', pad: '0' })).toBe('0007')
+    expect(fitFixedWidthValue('abcd', { width: 4, align: 'right', pad: ' ' })).toBe('abcd')
+    expect(fitFixedWidthValue(null, { width: 2, align: 'left', pad: ' ' })).toBe('  ')
+  })
+
+  it('can write a table as fixed-width records without the header row', () => {
+    expect(convertToFixedWidth(table)).toBe(' 1Acme12.5\r\n22       3\r\n')
+    expect(convertToFixedWidth(table, { columns: [{ width: 3, pad: '0' }], newline: '\n' }))
+      .toBe('001Acme12.5\n022       3\n')
+  })
+
+  it('can convert headers into COBOL data names', () => {
+    expect(toCobolName('TransactionAmount')).toBe('TRANSACTION-AMOUNT')
+    expect(toCobolName('txn_amt')).toBe('TXN-AMT')
+    expect(toCobolName('AVeryLongHeaderNameThatGoesOnAndOn').length).toBeLessThanOrEqual(30)
+  })
+
+  it('can describe the layout as a COBOL copybook', () => {
+    expect(convertToCopybook(table, { table: 'source' })).toBe([
+      '      * source: 3 fields, 10 characters per record',
+      '       01  SOURCE-RECORD.',
+      '      * Id: positions 1-2',
+      '           05  ID                             PIC X(2).',
+      '      * Name: positions 3-6',
+      '           05  NAME                           PIC X(4).',
+      '      * Amount: positions 7-10',
+      '           05  AMOUNT                         PIC X(4).',
+      '',
+    ].join('\n'))
+  })
+})
@@ -5,23 +5,45 @@
  * that the proportion of values with a given value is within an expected range,
  * e.g. when randomly selecting one value from a list of four values, each value
  * should be selected approximately 25% +/- 5% of the time, i.e. between 20% and
- * 30% of the time.
+ * 30% of the time. Each test uses a seeded source of randomness, so that the
+ * results are the same every time the tests are run.
  * 
  * @module
  */
 
 import {
   addSmallValue,
+  chooseRandomRows,
+  chunkRows,
+  chunkSize,
   convertToCsv,
+  convertToCsvField,
+  convertToCsvRow,
+  convertToJson,
+  convertToNdjson,
+  convertToObjects,
+  createRandom,
+  deriveSeed,
+  diffColumns,
+  diffHeaders,
+  encodeChunks,
+  encodeContent,
+  getColumnPermutation,
   mangleColumnNames,
   mangleColumns,
   mangleName,
   maybeAddSmallValue,
   maybeMangleDate,
+  maybeEmpty,
   maybeMangleGeo,
+  maybeTruncate,
+  permuteIndex,
   randomItem,
-  removeRandomRows,
   shuffleColumns,
+  skipSequenceValues,
+  streamCsv,
+  streamNdjson,
+  teeChunks,
   transpose
 } from '../src/generatorUtilities.mjs'
 import colspec from './colspec.mjs'
@@ -34,13 +56,68 @@ expect.extend({
   toBeBetween,
 })
 
+/**
+ * Collects every item of an (async) iterable
+ *
+ * @param   {AsyncIterable} iterable The iterable
+ * @returns {Promise}                Resolves to an array of the items
+ */
+const collect = async iterable => {
+  const items = []
+
+  for await (const item of iterable) {
+    items.push(item)
+  }
+
+  return items
+}
+
 describe('Test Generation Utilities', () => {
+
+  let random
+
+  beforeEach(() => {
+    random = createRandom(20230101)
+  })
+
+  it('can create a seeded source of randomness', () => {
+    const first = Array.from({ length: 100 }).map(createRandom(42))
+    const second = Array.from({ length: 100 }).map(createRandom(42))
+    const other = Array.from({ length: 100 }).map(createRandom(43))
+
+    expect(first).toEqual(second)
+    expect(first).not.toEqual(other)
+    expect(first.every(n => n >= 0 && n < 1)).toBe(true)
+    expect(createRandom()).toBe(Math.random)
+  })
+
+  it('can derive seeds from a seed and keys', () => {
+    const seeds = [deriveSeed(1, 0), deriveSeed(1, 1), deriveSeed(2, 0), deriveSeed(1, 0, 0), deriveSeed(1, 1, 0)]
+
+    expect(deriveSeed(1, 0)).toBe(seeds[0])
+    expect(new Set(seeds).size).toBe(seeds.length)
+    expect(seeds.every(seed => Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)).toBe(true)
+    expect(deriveSeed(7)).toBe(7)
+  })
+
+  it('can shuffle indices without holding them all', () => {
+    const shuffled = n => Array.from({ length: n }, (_, i) => permuteIndex(i, n, 42))
+    const thousand = shuffled(1000)
+
+    expect(shuffled(1)).toEqual([0])
+    expect(thousand).not.toEqual(Array.from({ length: 1000 }, (_, i) => i))
+    expect([...thousand].sort((a, b) => a - b)).toEqual(Array.from({ length: 1000 }, (_, i) => i))
+    expect(shuffled(1000)).toEqual(thousand)
+    expect(permuteIndex(5, 1000, 43)).not.toBe(permuteIndex(5, 1000, 42))
+    expect(permuteIndex(5, 1e12, 42)).toBeLessThan(1e12)
+  })
+
   it('can select an item at random from an array', () => {
     // from a set of 4 items
     const items = ['A', 'B', 'C', 'D']
     
     // select a large number at random
-    const selections = Array.from({ length: 1000 }).map(() => randomItem(items))
+    const selections = Array.from({ length: 1000 }).map(() => randomItem(items, random))
 
     // calculate the proportion of times each item was selected
     const a = selections.reduce((as, i) => {
@@ -77,7 +154,7 @@ describe('Test Generation Utilities', () => {
       'Date of Sale',
       'Sale Dt',
     ]
-    const variations = Array.from({ length: 1000 }).map(() => mangleName(variants))
+    const variations = Array.from({ length: 1000 }).map(() => mangleName(variants, random))
     const var1 = variations.reduce((v, i) => { v += i === 'sale_date' ? 1 : 0;
 
  return v}, 0) / 1000
@@ -104,11 +181,11 @@ describe('Test Generation Utilities', () => {
   })
 
   it('can add a small decimal fraction to a number', () => {
-    expect(addSmallValue(5)).toBeBetween(5, 5.1)
+    expect(addSmallValue(5, random)).toBeBetween(5, 5.1)
   })
 
   it('can MAYBE add a small decimal fraction to a number', () => {
-    const maybes = Array.from({ length: 1000 }).map(() => maybeAddSmallValue(5))
+    const maybes = Array.from({ length: 1000 }).map(() => maybeAddSmallValue(5, random))
     const added = maybes.reduce((m, i) => { m += i > 5 ? 1 : 0;
 
  return m}, 0) / 1000
@@ -119,7 +196,7 @@ describe('Test Generation Utilities', () => {
 
   it('can maybe mangle a date value', () => {
     const ds = '1974-02-17T23:30:00.000Z'
-    const maybes = Array.from({ length: 1000 }).map(() => maybeMangleDate(ds))
+    const maybes = Array.from({ length: 1000 }).map(() => maybeMangleDate(ds, random))
     const ts = new Date(ds).getTime()
     const locale = new Date(ds).toLocaleString()
     const stamps = maybes.reduce((s, i) => { s += i === ts ? 1 : 0;
@@ -130,14 +207,12 @@ describe('Test Generation Utilities', () => {
  return s}, 0) / 1000
 
     expect(stamps).toBeBetween(0.05, 0.15)
-    // experimentally determined this sometimes needs a buffer as high
-    // as 7% on the upper side
-    expect(locales).toBeBetween(0, 0.12)
+    expect(locales).toBeBetween(0.05, 0.15)
   })
 
   it('can maybe mangle a lat/lon value', () => {
     const lat = 38.4850022
-    const maybes = Array.from({ length: 1000 }).map(() => maybeMangleGeo(lat))
+    const maybes = Array.from({ length: 1000 }).map(() => maybeMangleGeo(lat, random))
     const tweaks = maybes.reduce((l, i) => { l += i > lat && i < lat + 1 ? 1 : 0;
 
  return l}, 0) / 1000
@@ -146,9 +221,38 @@ describe('Test Generation Utilities', () => {
  return s}, 0) / 1000
 
     expect(tweaks).toBeBetween(0.05, 0.15)
-    // experimentally determined this sometimes needs a buffer as high
-    // as 7% on the upper side
-    expect(mangles).toBeBetween(0, 0.12)
+    expect(mangles).toBeBetween(0.025, 0.075)
+  })
+
+  it('can maybe truncate a text value', () => {
+    const name = 'Schowalter, Pfeffer and Halvorson'
+    const maybes = Array.from({ length: 1000 }).map(() => maybeTruncate(name, random))
+    const truncated = maybes.filter(m => m !== name)
+
+    expect(truncated.length / 1000).toBeBetween(0.05, 0.15)
+    expect(truncated.every(t => t.length >= 1 && t.length < name.length && name.startsWith(t))).toBe(true)
+    expect(maybeTruncate(12.5, () => 0)).toBe(12.5)
+    expect(maybeTruncate('a', () => 0)).toBe('a')
+  })
+
+  it('can maybe leave a value out', () => {
+    const maybes = Array.from({ length: 1000 }).map(() => maybeEmpty('a', { nullRate: 0.2, blankRate: 0.1 }, random))
+
+    expect(maybes.filter(m => m === null).length / 1000).toBeBetween(0.15, 0.25)
+    expect(maybes.filter(m => m === '').length / 1000).toBeBetween(0.05, 0.15)
+    expect(maybes.filter(m => m === 'a').length / 1000).toBeBetween(0.6, 0.8)
+    expect(maybeEmpty('a', {}, () => 0)).toBe('a')
+  })
+
+  it('can choose where a sequence has gaps in it', () => {
+    const skipped = skipSequenceValues(1000, 5, random)
+    const gaps = skipped.map((total, i) => total - (i === 0 ? 5 : skipped[i - 1])).filter(gap => gap > 0)
+
+    expect(skipped.length).toBe(1000)
+    expect(gaps.length / 1000).toBeBetween(0.05, 0.15)
+    expect(gaps.every(gap => gap >= 1 && gap <= 10)).toBe(true)
+    expect(skipped[999]).toBe(5 + gaps.reduce((sum, gap) => sum + gap, 0))
+    expect(skipSequenceValues(3, 2, () => 0.5)).toEqual([2, 2, 2])
   })
 
   it('can reorder the columns in a table', () => {
@@ -162,7 +266,7 @@ describe('Test Generation Utilities', () => {
       ['f', 'g', 'h', 'i', 'j', 'i', 'j'],
       [ 0 ,  9 ,  8 ,  7 ,  6 ,  5 ,  4 ],
     ]
-    const shuffled = shuffleColumns(original)
+    const shuffled = shuffleColumns(original, random)
     // the first column should still have the same elements
     const originalFirstColumn = original.reduce((ofc, el) => { ofc.push(el[0]);
 
@@ -213,33 +317,148 @@ describe('Test Generation Utilities', () => {
         5,"z",3,"p",7,"j",6
         6,"y",2,"o",8,"i",5
         7,"z",1,"p",9,"j",4
-      `.replace(/ +/g, '')
+      `.replace(/ +/g, '').replace(/\n/g, '\r\n')
     
       const converted = convertToCsv(arrayFormat)
 
     expect(converted).toBe(csvFormat)
   })
 
-  it('can remove a specified number of rows randomly chosen', () => {
-    const fullTable = [
-      ['A', 'B', 'C', 'D', 'E', 'F', 'G'],
-      [ 1 , 'v',  8 , 'l',  3 , 'f',  0 ],
-      [ 2 , 'w',  7 , 'm',  4 , 'g',  9 ],
-      [ 3 , 'x',  6 , 'n',  5 , 'h',  8 ],
-      [ 4 , 'y',  4 , 'o',  6 , 'i',  7 ],
-      [ 5 , 'z',  3 , 'p',  7 , 'j',  6 ],
-      [ 6 , 'y',  2 , 'o',  8 , 'i',  5 ],
-      [ 7 , 'z',  1 , 'p',  9 , 'j',  4 ],
-    ]
+  it('can escape double quotes and line breaks in CSV fields', () => {
+    expect(convertToCsvField('Ferry "and" Sons')).toBe('"Ferry ""and"" Sons"')
+    expect(convertToCsvField('Line 1\nLine 2', 'minimal')).toBe('"Line 1\nLine 2"')
+    expect(convertToCsvField('Line 1\r\nLine 2', 'minimal')).toBe('"Line 1\r\nLine 2"')
+    expect(convertToCsvField('Smith, Jones', 'minimal')).toBe('"Smith, Jones"')
+    expect(convertToCsvField('Smith, Jones', 'minimal', '|')).toBe('Smith, Jones')
+    expect(convertToCsvField('a|b', 'minimal', '|')).toBe('"a|b"')
+  })
+
+  it('writes null and undefined values as empty CSV fields', () => {
+    expect(convertToCsvField(null)).toBe('')
+    expect(convertToCsvField(undefined, 'all')).toBe('')
+    expect(convertToCsvField('', 'all')).toBe('""')
+    expect(convertToCsv([['A', 'B', 'C'], [1, null, undefined]])).toBe('"A","B","C"\r\n1,,\r\n')
+  })
+
+  it('writes dates as ISO 8601 CSV fields', () => {
+    expect(convertToCsvField(new Date('1974-02-17T23:30:00.000Z'), 'minimal')).toBe('1974-02-17T23:30:00.000Z')
+  })
 
-    const shortTable = removeRandomRows(fullTable, 3)
+  it('can quote CSV fields according to a quoting policy', () => {
+    const table = [['Id', 'Name'], [1, 'Acme "Best" Co']]
 
-    expect(shortTable.length).toBe(5)
-    expect(fullTable.includes(shortTable[0])).toBe(true)
-    expect(fullTable.includes(shortTable[1])).toBe(true)
-    expect(fullTable.includes(shortTable[2])).toBe(true)
-    expect(fullTable.includes(shortTable[3])).toBe(true)
-    expect(fullTable.includes(shortTable[4])).toBe(true)
+    expect(convertToCsv(table, { quoting: 'minimal' })).toBe('Id,Name\r\n1,"Acme ""Best"" Co"\r\n')
+    expect(convertToCsv(table, { quoting: 'all' })).toBe('"Id","Name"\r\n"1","Acme ""Best"" Co"\r\n')
+    expect(convertToCsv(table, { quoting: 'non-numeric' })).toBe('"Id","Name"\r\n1,"Acme ""Best"" Co"\r\n')
+  })
+
+  it('can use a different line terminator for CSV rows', () => {
+    expect(convertToCsvRow([1, 'a'], { newline: '\n' })).toBe('1,"a"\n')
+  })
+
+  it('can use a different delimiter for CSV rows', () => {
+    expect(convertToCsvRow(['a|b', 'c,d'], { quoting: 'minimal', delimiter: '|' })).toBe('"a|b"|c,d\r\n')
+    expect(convertToCsvRow([1, 'a'], { delimiter: '\t', newline: '\n' })).toBe('1\t"a"\n')
+  })
+
+  it('can convert table rows into objects keyed by the header row', () => {
+    const table = [['Id', 'Amount', 'When'], [1, 2.5, new Date('2020-01-01T00:00:00.000Z')], [2, null, 'x']]
+
+    expect(convertToObjects(table)).toEqual([
+      { Id: 1, Amount: 2.5, When: new Date('2020-01-01T00:00:00.000Z') },
+      { Id: 2, Amount: null, When: 'x' },
+    ])
+    expect(JSON.parse(convertToJson(table))).toEqual([
+      { Id: 1, Amount: 2.5, When: '2020-01-01T00:00:00.000Z' },
+      { Id: 2, Amount: null, When: 'x' },
+    ])
+    expect(convertToNdjson(table)).toBe(
+      '{"Id":1,"Amount":2.5,"When":"2020-01-01T00:00:00.000Z"}\n{"Id":2,"Amount":null,"When":"x"}\n'
+    )
+  })
+
+  it('can encode output with or without a byte order mark', () => {
+    expect([...encodeContent('a')]).toEqual([0x61])
+    expect([...encodeContent('a', { bom: true })]).toEqual([0xef, 0xbb, 0xbf, 0x61])
+    expect([...encodeContent('a', { encoding: 'utf16le', bom: true })]).toEqual([0xff, 0xfe, 0x61, 0x00])
+  })
+
+  it('can split the rows of a table into chunks', () => {
+    const rows = Array.from({ length: chunkSize + 1 }, (_, i) => [i])
+
+    expect([...chunkRows(rows)].map(chunk => chunk.length)).toEqual([chunkSize, 1])
+    expect([...chunkRows(rows.slice(0, 5), 2)]).toEqual([[[0], [1]], [[2], [3]], [[4]]])
+    expect([...chunkRows([])]).toEqual([])
+  })
+
+  it('can convert a table into CSV or NDJSON a chunk of rows at a time', async () => {
+    const [headers, ...rows] = [['Id', 'Name'], ...Array.from({ length: 5 }, (_, i) => [i, `n${i}`])]
+    const csv = await collect(streamCsv(headers, chunkRows(rows, 2)))
+    const ndjson = await collect(streamNdjson(headers, chunkRows(rows, 2)))
+
+    expect(csv.length).toBe(4)
+    expect(csv[0]).toBe('"Id","Name"\r\n')
+    expect(csv.join('')).toBe(convertToCsv([headers, ...rows]))
+    expect(ndjson.length).toBe(3)
+    expect(ndjson.join('')).toBe(convertToNdjson([headers, ...rows]))
+    expect(await collect(streamCsv(['Id'], []))).toEqual(['"Id"\r\n'])
+  })
+
+  it('can encode output a chunk at a time with the byte order mark only at the start', async () => {
+    const chunks = await collect(encodeChunks(['a', 'b'], { encoding: 'utf16le', bom: true }))
+
+    expect(chunks.map(chunk => [...chunk])).toEqual([[0xff, 0xfe, 0x61, 0x00], [0x62, 0x00]])
+  })
+
+  it('can encode output in latin-1, replacing characters it cannot represent', () => {
+    expect([...encodeContent('é€', { encoding: 'latin1' })]).toEqual([0xe9, 0x3f])
+    expect(() => encodeContent('a', { encoding: 'latin1', bom: true })).toThrow()
+  })
+
+  it('can split chunks so that each copy yields every one of them', async () => {
+    const [first, second] = teeChunks([1, 2, 3, 4, 5], 2)
+    const [a, b] = await Promise.all([collect(first), collect(second)])
+
+    expect(a).toEqual([1, 2, 3, 4, 5])
+    expect(b).toEqual([1, 2, 3, 4, 5])
+  })
+
+  it('only holds a few chunks for a copy that falls behind', async () => {
+    let pulled = 0
+    const source = function * () {
+      for (let i = 0; i < 10; i += 1) {
+        pulled += 1
+        yield i
+      }
+    }
+    const [ahead, behind] = teeChunks(source(), 2, 2)
+    const reading = collect(ahead)
+
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(pulled).toBe(2)
+    expect(await collect(behind)).toEqual([...Array(10).keys()])
+    expect(await reading).toEqual([...Array(10).keys()])
+  })
+
+  it('passes errors on to every copy', async () => {
+    const failing = function * () {
+      yield 1
+      throw new Error('out of values')
+    }
+    const copies = teeChunks(failing(), 2)
+    const results = await Promise.allSettled(copies.map(collect))
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected'])
+    expect(results.map(result => result.reason.message)).toEqual(['out of values', 'out of values'])
+  })
+
+  it('can choose distinct rows at random', () => {
+    const chosen = chooseRandomRows(10, 4, random)
+
+    expect(chosen.size).toBe(4)
+    expect([...chosen].every(i => Number.isInteger(i) && i >= 0 && i < 10)).toBe(true)
+    expect(chooseRandomRows(3, 5, random).size).toBe(3)
+    expect(chooseRandomRows(10, 0, random).size).toBe(0)
   })
 
   it('can find and mangle a specified list of columns of a particular datatype', () => {
@@ -251,12 +470,12 @@ describe('Test Generation Utilities', () => {
      */
     
     // Floats: mangled column index 4, not mangled 5
-    let table = mangleColumns(testTable, ['Transaction Amount'], 'float')
+    let table = mangleColumns(testTable, ['Transaction Amount'], 'float', random)
 
     // Dates: mangled column index 2, not mangled 3
-    table = mangleColumns(table, ['Transaction Date'], 'date')
+    table = mangleColumns(table, ['Transaction Date'], 'date', random)
     // Geo: not mangled column indices 11, 14, not mangled 13, 14
-    table = mangleColumns(table, ['From Latitude', 'To Longitude'], 'geo')
+    table = mangleColumns(table, ['From Latitude', 'To Longitude'], 'geo', random)
 
     // some columns should have mismatches from the original float values
     expect(table[4].every((f, i) => f === testTable[4][i])).not.toBe(true) // mangled
@@ -277,11 +496,47 @@ describe('Test Generation Utilities', () => {
     
   })
 
+  it('can make values null in a list of columns, leaving missing values alone', () => {
+    const sparse = testTable.map((col, c) => (c === 4 ? col.map((v, i) => (i % 2 ? null : v)) : col))
+    const nulled = mangleColumns(sparse, ['Transaction Amount'], 'null', random, 0.5)
+    const floats = mangleColumns(sparse, ['Transaction Amount'], 'float', random)
+    const kept = nulled[4].filter(v => v !== null)
+
+    expect(nulled[4].filter((v, i) => i % 2 === 0 && v === null).length / (sparse[4].length / 2)).toBeBetween(0.3, 0.7)
+    expect(kept.every(v => sparse[4].includes(v))).toBe(true)
+    expect(nulled[5]).toEqual(sparse[5])
+    expect(floats[4].filter((v, i) => i % 2).every(v => v === null)).toBe(true)
+  })
+
   it('can mangle a specified list of column names', () => {
     const colNames = colspec.map(spec => spec.name).slice(1) // all but the ID column
-    const mangledTable = mangleColumnNames(testTable, colNames, colspec)
+    const mangledTable = mangleColumnNames(testTable, colNames, colspec, random)
 
     expect(mangledTable[0].slice(1).every((cn, i) => cn !== testTable[0].slice(1)[i])).toBe(true)
   })
-})
 
+  it('can list the values that were changed between two versions of a table', () => {
+    const before = [
+      ['Id', 'Amount', 'Name'],
+      [ 1 ,  2 ,  3 ],
+      [ 10.5 , 20.5 , 30.5 ],
+      ['a', 'b', 'c'],
+    ]
+    const after = [before[0], before[1], [10.5, 20.5000042, 30.5], before[3]]
+
+    expect(diffColumns(before, after, 'float')).toEqual([
+      { id: 2, column: 'Amount', original: 20.5, mangled: 20.5000042, type: 'float' },
+    ])
+    expect(diffColumns(before, before, 'float')).toEqual([])
+  })
+
+  it('can list the headers that were renamed', () => {
+    expect(diffHeaders(['Id', 'TxnDate', 'From'], ['Id', 'date_of_transaction', 'From'])).toEqual([
+      { original: 'TxnDate', mangled: 'date_of_transaction' },
+    ])
+  })
+
+  it('can describe a reordering of columns as a permutation', () => {
+    expect(getColumnPermutation(['A', 'B', 'C', 'D'], ['A', 'C', 'D', 'B'])).toEqual([0, 2, 3, 1])
+  })
+})
@@ -0,0 +1,543 @@
+/**
+ * Unit tests for the main test data generation functions.
+ *
+ * @module
+ */
+
+import colspec from './colspec.mjs'
+import { convertToCsv } from '../src/generatorUtilities.mjs'
+import { generate, generateFiles, generateStream } from '../src/generators.mjs'
+
+/**
+ * Collects the content of a file into a single string, whether it was produced whole
+ * or as an (async) iterable of chunks
+ *
+ * @param   {*}       content The content of the file
+ * @returns {Promise}         Resolves to the content as a string
+ */
+const read = async content => {
+  if (typeof content === 'string' || Buffer.isBuffer(content)) {
+    return content.toString()
+  }
+  const chunks = []
+
+  for await (const chunk of content) {
+    chunks.push(Buffer.from(chunk))
+  }
+
+  return Buffer.concat(chunks).toString()
+}
+
+describe('Test Data Generators', () => {
+
+  const answers = {
+    includeOptional: true,
+    sourceCount: 50,
+    rowDiff: -5,
+    colsRandomized: true,
+    mangleColNames: ['Transaction Date', 'From'],
+    floatColsToTweak: ['Transaction Amount'],
+    dateColsToMangle: ['Transaction Date'],
+    geoColsToMangle: ['From Latitude', 'To Longitude'],
+  }
+
+  it('can generate SOURCE and TARGET tables of the requested size', () => {
+    const { source, target } = generate(answers, colspec)
+
+    expect(source.length).toBe(51) // including the header row
+    expect(target.length).toBe(46)
+    expect(source.every(row => row.length === colspec.length)).toBe(true)
+    expect(target.every(row => row.length === colspec.length)).toBe(true)
+  })
+
+  it('generates columns that refer to other columns using the values from the same row', () => {
+    const { source } = generate({ ...answers, colsRandomized: false }, colspec)
+    const week = 7 * 24 * 60 * 60 * 1000
+
+    source.slice(1).forEach(row => {
+      const transactionDate = new Date(row[1]).getTime()
+      const verificationDate = new Date(row[2]).getTime()
+
+      expect(verificationDate).toBeGreaterThanOrEqual(transactionDate)
+      expect(verificationDate).toBeLessThanOrEqual(transactionDate + week)
+    })
+  })
+
+  it('records every change made to TARGET in a manifest', () => {
+    const { source, target, manifest } = generate({ ...answers, seed: 99 }, colspec)
+    const targetRows = new Map(target.slice(1).map(row => [row[0], row]))
+    const sourceHeaders = source[0]
+    // the TARGET header of each SOURCE column, after renaming and reordering
+    const renamed = sourceHeaders.map(h => (manifest.headers.find(r => r.original === h) || { mangled: h }).mangled)
+
+    expect(manifest.cells.length).toBeGreaterThan(0)
+    expect(manifest.cells.every(c => ['float', 'date', 'geo'].includes(c.type))).toBe(true)
+    manifest.cells.forEach(({ id, column, mangled }) => {
+      const col = manifest.columnOrder.indexOf(sourceHeaders.indexOf(column))
+
+      expect(targetRows.get(id)[col]).toEqual(mangled)
+    })
+    expect(manifest.headers.map(h => h.original).sort()).toEqual(['From', 'TransactionDate'])
+    expect(manifest.columnOrder.map(i => renamed[i])).toEqual(target[0])
+    expect(manifest.removedRows.source).toEqual([])
+    expect(manifest.removedRows.target.length).toBe(5)
+    expect(manifest.removedRows.target.every(id => !targetRows.has(id))).toBe(true)
+  })
+
+  it('can truncate text values in TARGET and record it in the manifest', () => {
+    const { manifest } = generate({ ...answers, rowDiff: 0, textColsToTruncate: ['Sender Name'], seed: 1 }, colspec)
+    const truncated = manifest.cells.filter(cell => cell.type === 'truncate')
+
+    expect(truncated.length).toBeGreaterThan(0)
+    expect(truncated.every(cell => cell.column === 'SenderName' && cell.original.startsWith(cell.mangled))).toBe(true)
+  })
+
+  it('can cut values off at their fixed width in TARGET and record it in the manifest', () => {
+    const narrow = colspec.map(col => (col.name === 'Sender Name' ? { ...col, width: 8 } : col))
+    const run = { ...answers, rowDiff: 0, colsRandomized: false, mangleColNames: ['None'], seed: 6 }
+    const { source, target, manifest } = generate({ ...run, widthColsToTruncate: ['Sender Name'] }, narrow)
+    const sender = source[0].indexOf('SenderName')
+    const long = source.slice(1).filter(row => row[sender].length > 8).map(row => row[0])
+    const cut = manifest.cells.filter(cell => cell.type === 'width')
+
+    expect(long.length).toBeGreaterThan(0)
+    expect(cut.map(cell => cell.id)).toEqual(long)
+    expect(cut.every(cell => cell.column === 'SenderName' && cell.mangled === cell.original.slice(0, 8))).toBe(true)
+    expect(target.slice(1).every(row => row[sender].length <= 8)).toBe(true)
+    expect(generate(run, narrow).manifest.cells.some(cell => cell.type === 'width')).toBe(false)
+  })
+
+  it('can leave values out of SOURCE at the rates set in the colspec', () => {
+    const sparse = colspec.map(col => (col.name === 'Transaction Date' ? { ...col, nullRate: 0.2, blankRate: 0.1 } : col))
+    const { source } = generate({ ...answers, sourceCount: 500, rowDiff: 0, seed: 3 }, sparse)
+    const dates = source.slice(1).map(row => row[1])
+    const nulls = dates.filter(d => d === null).length
+    const blanks = dates.filter(d => d === '').length
+
+    expect(nulls).toBeGreaterThan(75)
+    expect(nulls).toBeLessThan(125)
+    expect(blanks).toBeGreaterThan(30)
+    expect(blanks).toBeLessThan(70)
+    // columns that refer to it still get a value
+    expect(source.slice(1).every(row => row[2] instanceof Date)).toBe(true)
+    expect(generate({ ...answers, sourceCount: 500, rowDiff: 0, seed: 3 }, sparse).source).toEqual(source)
+  })
+
+  it('can make values null in TARGET and record it in the manifest', () => {
+    const run = { ...answers, rowDiff: 0, colsRandomized: false, colsToNull: ['Sender Name', 'Transaction Fee'], seed: 1 }
+    const { source, target, manifest } = generate({ ...run, nullFraction: 0.5 }, colspec)
+    const nulled = manifest.cells.filter(cell => cell.type === 'null')
+
+    expect(nulled.length).toBeGreaterThan(25)
+    expect(nulled.every(cell => ['SenderName', 'TransactionFee'].includes(cell.column) && cell.mangled === null)).toBe(true)
+    expect(target.slice(1).filter(row => row[7] === null).length).toBe(nulled.filter(cell => cell.column === 'SenderName').length)
+    expect(source.slice(1).every(row => row[7] !== null)).toBe(true)
+    expect(generate({ ...run, nullFraction: 0.05 }, colspec).manifest.cells.filter(cell => cell.type === 'null').length)
+      .toBeLessThan(nulled.length)
+  })
+
+  it('can number the rows with sequences and renumber them in TARGET', async () => {
+    const sequences = [
+      { name: 'id', cat: 'sequence', type: 'integer', start: 100, step: 10 },
+      { name: 'Invoice', cat: 'sequence', type: 'prefixed', prefix: 'INV-', digits: 4 },
+      { name: 'Key', cat: 'sequence', type: 'ulid' },
+      ...colspec.slice(1, 3),
+    ]
+    const run = { ...answers, sourceCount: 60, rowDiff: -6, colsRandomized: false, seed: 5 }
+    const { source, target, manifest } = generate(run, sequences)
+    const renumbered = generate({ ...run, colsToResequence: ['id'], colsToGap: ['Invoice'] }, sequences)
+    const collect = async workers => {
+      const streamed = generateStream({ ...run, colsToResequence: ['id'], colsToGap: ['Invoice'], workers }, sequences, 7)
+      const rows = []
+
+      for await (const chunk of streamed.chunks) {
+        rows.push(...chunk.target)
+      }
+
+      return rows
+    }
+    const ids = renumbered.target.slice(1).map(row => row[0])
+    const invoices = renumbered.target.slice(1).map(row => Number(row[1].slice(4)))
+    const keys = source.slice(1).map(row => row[2])
+
+    expect(source.slice(1).map(row => row[0])).toEqual(Array.from({ length: 60 }, (_, i) => 100 + 10 * i))
+    expect(source.slice(1).map(row => row[1])).toEqual(Array.from({ length: 60 }, (_, i) => `INV-${String(i + 1).padStart(4, '0')}`))
+    expect([...keys].sort()).toEqual(keys)
+    expect(new Set(keys).size).toBe(60)
+    expect(target.slice(1).map(row => row[0])).toEqual(source.slice(1).map(row => row[0]).filter(id => !manifest.removedRows.target.includes(id)))
+    expect(generate(run, sequences).source).toEqual(source)
+
+    expect(ids).toEqual(Array.from({ length: 54 }, (_, i) => 100 + 10 * i))
+    expect(invoices.every((num, i) => i === 0 || num > invoices[i - 1])).toBe(true)
+    expect(invoices[53]).toBeGreaterThan(60)
+    expect(renumbered.manifest.cells.filter(cell => cell.type === 'resequence').every(cell => cell.column === 'Id' && cell.mangled < cell.original)).toBe(true)
+    expect(renumbered.manifest.cells.filter(cell => cell.type === 'gap').every(cell => cell.column === 'Invoice')).toBe(true)
+    expect(renumbered.manifest.cells.filter(cell => cell.type === 'gap').length).toBeGreaterThan(0)
+    expect(await collect(2)).toEqual(await collect(0))
+  }, 60000)
+
+  it('records changes by SOURCE ids when the id column is renumbered', () => {
+    const numbered = [{ name: 'id', cat: 'sequence', type: 'integer' }, ...colspec.slice(1)]
+    const run = { ...answers, sourceCount: 40, rowDiff: -5, colsRandomized: false, colsToResequence: ['id'], seed: 8 }
+    const { source, target, manifest } = generate({ ...run, floatColsToTweak: ['Transaction Amount'] }, numbered)
+    const removed = manifest.removedRows.target
+    const kept = source.slice(1).filter(row => !removed.includes(row[0]))
+    const amount = source[0].indexOf('TransactionAmount')
+    const tweaked = kept.filter((row, r) => target[r + 1][amount] !== row[amount]).map(row => row[0])
+
+    expect(new Set(removed).size).toBe(5)
+    expect(removed.every(id => source.slice(1).some(row => row[0] === id))).toBe(true)
+    expect(target.slice(1).map(row => row[0])).toEqual(Array.from({ length: 35 }, (_, i) => i + 1))
+    expect(tweaked.length).toBeGreaterThan(0)
+    expect(manifest.cells.filter(cell => cell.type === 'float').map(cell => cell.id)).toEqual(tweaked)
+    manifest.cells.forEach(cell => {
+      const row = kept.find(r => r[0] === cell.id)
+
+      expect(row).toBeDefined()
+      // TARGET's dates are ISO 8601 strings
+      expect(JSON.parse(JSON.stringify(row[source[0].indexOf(cell.column)]))).toEqual(cell.original)
+    })
+    expect(manifest.cells.filter(cell => cell.type === 'resequence').every(cell => cell.mangled === kept.findIndex(row => row[0] === cell.id) + 1))
+      .toBe(true)
+  })
+
+  it('can draw values from weighted lists in the colspec or in a file', () => {
+    const listed = colspec.map(col => {
+      if (col.name === 'Account Type') {
+        return { name: 'Account Type', cat: 'list', type: 'values', values: ['Checking', 'Savings', 'Loan'], weights: [8, 2, 0] }
+      }
+
+      return col.name === 'Receiver Name' ? { name: 'Receiver Name', cat: 'list', type: 'file', file: 'test/statuses.txt' } : col
+    })
+    const { source } = generate({ ...answers, sourceCount: 300, rowDiff: 0, seed: 2 }, listed)
+    const types = source.slice(1).map(row => row[9])
+    const checking = types.filter(t => t === 'Checking').length
+
+    expect(checking).toBeGreaterThan(210)
+    expect(checking).toBeLessThan(270)
+    expect(types.every(t => ['Checking', 'Savings'].includes(t))).toBe(true)
+    expect(new Set(source.slice(1).map(row => row[8]))).toEqual(new Set(['Active', 'Suspended', 'Closed']))
+    expect(generate({ ...answers, sourceCount: 300, rowDiff: 0, seed: 2 }, listed).source).toEqual(source)
+  })
+
+  it('can draw numbers from statistical distributions', () => {
+    const skewed = colspec.map(col => (col.name === 'Transaction Amount'
+      ? { name: 'Transaction Amount', cat: 'distribution', type: 'lognormal', mu: 5, sigma: 1.2, min: 1, max: 99999, dec: 2 }
+      : col))
+    const { source, target } = generate({ ...answers, rowDiff: 0, colsRandomized: false, sourceCount: 400, seed: 4 }, skewed)
+    const amounts = source.slice(1).map(row => row[3]).sort((a, b) => a - b)
+
+    expect(amounts.every(val => val >= 1 && val <= 99999 && Number(val.toFixed(2)) === val)).toBe(true)
+    // skewed to the right, so the mean is well above the median
+    expect(amounts.reduce((sum, val) => sum + val, 0) / 400).toBeGreaterThan(amounts[200] * 1.5)
+    // rounded to `dec`, so they can be tweaked as floats in TARGET
+    expect(target.slice(1).some((row, i) => row[3] !== source[i + 1][3])).toBe(true)
+  })
+
+  it('can only give as many unique values as a list has', () => {
+    const tiers = colspec.map(col =>
+      (col.name === 'Account Type' ? { ...col, cat: 'list', type: 'values', values: ['Gold', 'Silver', 'Gold'], unique: 'retry' } : col))
+
+    expect(() => generate({ ...answers, rowDiff: 0, sourceCount: 3 }, tiers))
+      .toThrow(/Column 9 \("Account Type"\): 3 unique values are needed but only 2 can be generated/)
+    expect(generate({ ...answers, rowDiff: 0, sourceCount: 2, seed: 1 }, tiers).source.slice(1).map(row => row[9]).sort())
+      .toEqual(['Gold', 'Silver'])
+  })
+
+  it('does not pass output format settings to faker', () => {
+    const laidOut = colspec.map(col =>
+      (col.name === 'Sender Name' ? { ...col, width: 10, align: 'right', pad: '.', xml: 'attribute' } : col))
+    const { source } = generate({ ...answers, seed: 1 }, laidOut)
+
+    expect(source.slice(1).map(row => row[7]).every(name => typeof name === 'string' && name.length > 0)).toBe(true)
+  })
+
+  it('does not pass optional or missing value settings to faker', () => {
+    const { source } = generate({ ...answers, sourceCount: 200, seed: 1 }, colspec)
+
+    // otherwise `optional: true` would be taken as the maximum latitude
+    expect(source.slice(1).some(row => row[10] > 1)).toBe(true)
+  })
+
+  it('refuses to generate anything from an invalid colspec', () => {
+    const badColspec = colspec.map((c, i) => (i === 3 ? { ...c, cat: 'finanse' } : c))
+
+    expect(() => generate(answers, badColspec)).toThrow(/Column 3 \("Transaction Amount"\)/)
+  })
+
+  it('produces identical tables when given the same seed', () => {
+    const first = generate({ ...answers, seed: 1234 }, colspec)
+    const second = generate({ ...answers, seed: 1234 }, colspec)
+
+    expect(convertToCsv(first.source)).toBe(convertToCsv(second.source))
+    expect(convertToCsv(first.target)).toBe(convertToCsv(second.target))
+  })
+
+  it('produces identical dates at different times when given the same seed', async () => {
+    const dated = [
+      ...colspec,
+      { name: 'Opened', cat: 'date', type: 'past' },
+      { name: 'Renewal', cat: 'date', type: 'future', years: 2 },
+      { name: 'Seen', cat: 'date', type: 'recent', optional: true },
+      { name: 'Born', cat: 'date', type: 'birthdate', opts: true, min: 18, max: 65, mode: 'age', optional: true },
+    ]
+    const run = { ...answers, rowDiff: 0, seed: 77 }
+    const first = generate(run, dated)
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    const second = generate(run, dated)
+
+    expect(first.source.slice(1).every(row => row.slice(-4).every(val => val instanceof Date))).toBe(true)
+    expect(convertToCsv(second.source)).toBe(convertToCsv(first.source))
+  })
+
+  it('produces different tables when given different seeds', () => {
+    const first = generate({ ...answers, seed: 1234 }, colspec)
+    const second = generate({ ...answers, seed: 4321 }, colspec)
+
+    expect(convertToCsv(first.source)).not.toBe(convertToCsv(second.source))
+    expect(convertToCsv(first.target)).not.toBe(convertToCsv(second.target))
+  })
+
+  it('can write each table in a different format', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, undefined, { target: { format: 'ndjson' } })
+    const lines = files.target.content.toString().trim().split('\n')
+    const amount = data.target[0].indexOf('TransactionAmount')
+
+    expect(files.source.path).toMatch(/source_\d+\.csv$/)
+    expect(files.target.path).toMatch(/target_\d+\.ndjson$/)
+    expect(lines.length).toBe(data.target.length - 1)
+    expect(Object.keys(JSON.parse(lines[0]))).toEqual(data.target[0])
+    expect(typeof JSON.parse(lines[0]).TransactionAmount).toBe(typeof data.target[1][amount])
+  })
+
+  it('can write SQL using the colspec to type columns even after they are renamed', async () => {
+    const data = generate({ ...answers, dateColsToMangle: ['None'], seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, { target: { format: 'sql' } })
+    const sql = files.target.content.toString()
+    const renamed = data.manifest.headers.find(h => h.original === 'TransactionDate').mangled
+
+    expect(files.target.path).toMatch(/target_\d+\.sql$/)
+    expect(sql).toMatch(/^CREATE TABLE "target" \(/)
+    expect(sql).toContain(`"${renamed}" TIMESTAMP(3)`)
+    expect(sql).toContain('"Id" INTEGER UNIQUE')
+  })
+
+  it('can write both tables into a single SQLite database', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, {
+      source: { format: 'sqlite' },
+      target: { format: 'sqlite', tableName: 'tgt' },
+    })
+
+    expect(files.source).toBeUndefined()
+    expect(files.target).toBeUndefined()
+    expect(files.sqlite.path).toMatch(/tables_\d+\.sqlite$/)
+    expect(files.sqlite.content.subarray(0, 15).toString()).toBe('SQLite format 3')
+  })
+
+  it('can write fixed-width files with a copybook describing their layout', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, { target: { format: 'fixed-width', layout: true } })
+
+    expect(files.target.path).toMatch(/target_\d+\.txt$/)
+    expect(files.targetLayout.path).toMatch(/target_\d+\.cpy$/)
+    expect(files.targetLayout.content).toContain('01  TARGET-RECORD.')
+    expect(files.sourceLayout).toBeUndefined()
+  })
+
+  it('can write XML documents that use the altered headers of TARGET', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const spec = { colspec: colspec.map((col, i) => (i === 0 ? { ...col, xml: 'attribute' } : col)) }
+    const files = await generateFiles(data, spec, { target: { format: 'xml', rowElement: 'Transaction' } })
+    const xml = files.target.content.toString()
+    const renamed = data.manifest.headers.find(h => h.original === 'TransactionDate').mangled
+
+    expect(files.target.path).toMatch(/target_\d+\.xml$/)
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<target>\n  <Transaction Id="/)
+    expect(xml).toContain(`<${renamed}>`)
+    expect(xml).not.toContain('<TransactionDate>')
+  })
+
+  it('can mark a table\'s file to be compressed and convert it a chunk at a time', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, { target: { gzip: true } })
+
+    expect(files.target.path).toMatch(/target_\d+\.csv\.gz$/)
+    expect(files.target.gzip).toBe(true)
+    expect(await read(files.target.content)).toBe(convertToCsv(data.target))
+    expect(files.source.path).toMatch(/source_\d+\.csv$/)
+    expect(files.source.gzip).toBe(false)
+  })
+
+  it('can generate the tables a chunk of rows at a time', () => {
+    const { headers, manifest, chunks } = generateStream({ ...answers, seed: 1234 }, colspec, 7)
+    const all = [...chunks]
+    const sourceIds = all.flatMap(chunk => chunk.source.map(row => row[0]))
+    const targetIds = new Set(all.flatMap(chunk => chunk.target.map(row => row[0])))
+
+    expect(headers.source.length).toBe(colspec.length)
+    expect(headers.target[0]).toBe('Id')
+    expect(all.length).toBe(Math.ceil(50 / 7))
+    expect(all.every(chunk => chunk.source.length <= 7)).toBe(true)
+    expect(sourceIds.length).toBe(50)
+    expect(new Set(sourceIds).size).toBe(50)
+    expect(targetIds.size).toBe(45)
+    expect(manifest.removedRows.target.length).toBe(5)
+    expect(manifest.removedRows.target.every(id => !targetIds.has(id))).toBe(true)
+    expect(all.flatMap(chunk => chunk.cells).every(cell => targetIds.has(cell.id))).toBe(true)
+  })
+
+  it('keeps values unique in the whole column when generating in chunks', () => {
+    const narrow = colspec.map((col, i) => (i === 0 ? { ...col, min: 1, max: 60 } : col))
+    const { chunks } = generateStream({ ...answers, rowDiff: 0, seed: 1 }, narrow, 5)
+    const ids = [...chunks].flatMap(chunk => chunk.source.map(row => row[0]))
+
+    expect(new Set(ids).size).toBe(50)
+  })
+
+  it('writes the same files whether the tables are streamed or complete', async () => {
+    const seeded = { ...answers, rowDiff: 5, seed: 1234 }
+    const output = { target: { format: 'ndjson' } }
+    const keys = ['source', 'target', 'manifest']
+    const streamed = await generateFiles(generateStream(seeded, colspec), { colspec }, output)
+
+    expect(typeof streamed.source.content[Symbol.asyncIterator]).toBe('function')
+    // the streamed files are read first, since the chunks are generated as they are read
+    const fromChunks = await Promise.all(keys.map(key => read(streamed[key].content)))
+    const complete = await generateFiles(generate(seeded, colspec), { colspec }, output)
+    const fromTables = await Promise.all(keys.map(key => read(complete[key].content)))
+
+    expect(fromChunks).toEqual(fromTables)
+    expect(JSON.parse(fromChunks[2]).removedRows.source.length).toBe(5)
+  })
+
+  it('generates the same tables in worker threads, whatever the number of workers', async () => {
+    // a narrow range of ids makes chunks generated separately choose some of the same ones
+    const narrow = colspec.map((col, i) => (i === 0 ? { ...col, min: 1, max: 200 } : col))
+    const seeded = { ...answers, sourceCount: 120, rowDiff: 7, seed: 42 }
+    const collect = async workers => {
+      const run = generateStream({ ...seeded, workers }, narrow, 25)
+      const tables = { source: [run.headers.source], target: [run.headers.target], cells: [] }
+
+      for await (const chunk of run.chunks) {
+        tables.source.push(...chunk.source)
+        tables.target.push(...chunk.target)
+        tables.cells.push(...chunk.cells)
+      }
+
+      return { ...tables, manifest: run.manifest }
+    }
+    const inMainThread = await collect(0)
+    const withOne = await collect(1)
+    const withThree = await collect(3)
+    const ids = inMainThread.source.slice(1).map(row => row[0])
+
+    expect(new Set(ids).size).toBe(120)
+    expect(withOne).toEqual(inMainThread)
+    expect(withThree).toEqual(inMainThread)
+  }, 60000)
+
+  it('refuses up front to generate more unique values than a column can have', () => {
+    const tiny = colspec.map((col, i) => (i === 0 ? { ...col, min: 1, max: 3 } : col))
+
+    expect(() => generateStream({ ...answers, rowDiff: 0, seed: 1 }, tiny))
+      .toThrow(/Not enough unique values:\nColumn 0 \("id"\): 50 unique values are needed but only 3 can be generated/)
+    expect(() => generateStream({ ...answers, sourceCount: 3, rowDiff: 0, seed: 1 }, tiny)).not.toThrow()
+  })
+
+  it('gives up when a unique column runs out of values', async () => {
+    // the number of different values isn't known up front
+    const digits = colspec.map((col, i) => (i === 0 ? { name: 'id', cat: 'random', type: 'numeric', unique: true, maxRetries: 5, length: 1 } : col))
+    const inWorkers = generateStream({ ...answers, rowDiff: 0, seed: 1, workers: 2 }, digits, 20)
+
+    expect(() => generateStream({ ...answers, rowDiff: 0, seed: 1 }, digits, 2).chunks.next()).not.toThrow()
+    expect(() => [...generateStream({ ...answers, rowDiff: 0, seed: 1 }, digits, 2).chunks])
+      .toThrow('Could not generate a unique value for column "id"')
+    expect(() => generate({ ...answers, rowDiff: 0, seed: 1 }, digits)).toThrow('Could not generate a unique value for column "id"')
+    await expect(inWorkers.chunks.next()).rejects.toThrow('Could not generate a unique value for column "id"')
+  }, 60000)
+
+  it('can make values unique without retries', async () => {
+    const ids = strategy => colspec.map((col, i) => (i === 0 ? { ...col, unique: strategy, min: 11, max: 60 } : col))
+    const idsOf = async (strategy, size, workers = 0) => {
+      const run = generateStream({ ...answers, rowDiff: 0, seed: 7, workers }, ids(strategy), size)
+      const found = []
+
+      for await (const chunk of run.chunks) {
+        found.push(...chunk.source.map(row => row[0]))
+      }
+
+      return found
+    }
+
+    const sequence = await idsOf('sequence', 7)
+    const shuffled = await idsOf('shuffle', 7)
+    const uuids = await idsOf('uuid', 7)
+
+    expect(sequence).toEqual(Array.from({ length: 50 }, (_, i) => 11 + i))
+    expect(shuffled).not.toEqual(sequence)
+    expect([...shuffled].sort((a, b) => a - b)).toEqual(sequence)
+    expect(await idsOf('shuffle', 50)).toEqual(shuffled)
+    expect(await idsOf('shuffle', 7, 2)).toEqual(shuffled)
+    expect(new Set(uuids).size).toBe(50)
+    uuids.forEach(id => expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/))
+  }, 60000)
+
+  it('can generate values from patterns and templates', async () => {
+    const patterned = [
+      ...colspec.slice(0, 2),
+      { name: 'Reference', cat: 'pattern', type: 'regex', pattern: '[AB]\\d', unique: true },
+      { name: 'Label', cat: 'pattern', type: 'template', template: '{{Reference}}/{{id}} {{ lorem.word }}' },
+    ]
+    const collect = async workers => {
+      const run = generateStream({ ...answers, sourceCount: 20, rowDiff: 0, colsRandomized: false, seed: 3, workers }, patterned, 5)
+      const rows = []
+
+      for await (const chunk of run.chunks) {
+        rows.push(...chunk.source)
+      }
+
+      return rows
+    }
+    const source = await collect(0)
+
+    expect(new Set(source.map(row => row[2])).size).toBe(20)
+    source.forEach(([id, , ref, label]) => {
+      expect(ref).toMatch(/^[AB]\d$/)
+      expect(label).toMatch(new RegExp(`^${ref}/${id} \\w+$`))
+    })
+    expect(await collect(2)).toEqual(source)
+    expect(() => generate({ ...answers, sourceCount: 21, rowDiff: 0, seed: 3 }, patterned))
+      .toThrow(/Column 2 \("Reference"\): 21 unique values are needed but only 20 can be generated/)
+  }, 60000)
+
+  it('collects a streamed run when a table\'s format has to be written all at once', async () => {
+    const run = generateStream({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(run, { colspec }, { target: { format: 'json' } })
+
+    expect(files.source.content.toString()).toMatch(/^"Id",/)
+    expect(JSON.parse(files.target.content.toString()).length).toBe(45)
+    expect(JSON.parse(files.manifest.content).cells.length).toBeGreaterThan(0)
+  })
+
+  it('can bundle every file along with the answers into a zip archive', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, {}, { ...answers, zip: true })
+
+    expect(Object.keys(files)).toEqual(['zip'])
+    expect(files.zip.path).toMatch(/run_\d+\.zip$/)
+    expect(Object.keys(files.zip.entries)).toEqual(['source', 'target', 'manifest', 'colspec', 'answers'])
+    expect(JSON.parse(files.zip.entries.answers.content)).toEqual({ ...answers, zip: true })
+  })
+
+  it('can write both tables into a single Excel workbook', async () => {
+    const data = generate({ ...answers, seed: 1234 }, colspec)
+    const files = await generateFiles(data, { colspec }, { source: { format: 'xlsx' }, target: { format: 'xlsx' } })
+
+    expect(files.xlsx.path).toMatch(/tables_\d+\.xlsx$/)
+    // an xlsx file is a zip archive
+    expect(files.xlsx.content.subarray(0, 2).toString()).toBe('PK')
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the functions that write tables as Parquet files.
+ *
+ * @module
+ */
+
+import { convertToParquet, convertToParquetValue, getParquetSchema } from '../src/parquetWriter.mjs'
+import parquet from 'parquetjs-lite'
+
+describe('Parquet Writer', () => {
+  const columns = [
+    { name: 'id', cat: 'datatype', type: 'number', unique: true },
+    { name: 'When', cat: 'date', type: 'past' },
+    { name: 'Amount', cat: 'finance', type: 'amount', convert: true, dec: 2 },
+    { name: 'Name', cat: 'company', type: 'name' },
+  ]
+  const source = [
+    ['Id', 'When', 'Amount', 'Name'],
+    [1, new Date('2020-01-02T03:04:05.678Z'), 123.45, 'Acme'],
+    [2, '2021-01-02T03:04:05.678Z', 6.5, null],
+  ]
+
+  /**
+   * Reads every row of a Parquet file
+   *
+   * @param   {Buffer} file The content of the Parquet file
+   * @returns {Promise}     Resolves to the metadata and rows of the file
+   */
+  const read = async file => {
+    const reader = await parquet.ParquetReader.openBuffer(file)
+    const cursor = reader.getCursor()
+    const rows = []
+    let row = await cursor.next()
+
+    while (row) {
+      rows.push(row)
+      row = await cursor.next()
+    }
+    const { metadata } = reader
+
+    await reader.close()
+
+    return { metadata, rows }
+  }
+
+  it('can derive a schema from the colspec and the values', () => {
+    const schema = getParquetSchema(source, { columns })
+
+    expect(Object.keys(schema)).toEqual(['Id', 'When', 'Amount', 'Name'])
+    expect(Object.values(schema).map(field => field.type)).toEqual(['INT64', 'TIMESTAMP_MILLIS', 'DOUBLE', 'UTF8'])
+    expect(Object.values(schema).every(field => field.optional && field.compression === 'UNCOMPRESSED')).toBe(true)
+  })
+
+  it('lets the schema diverge when altered values no longer fit a column type', () => {
+    const target = [['Id', 'When'], [1, 1609556645678], [2, '1/2/2021, 3:04:05 AM']]
+
+    expect(getParquetSchema(target, { columns }).When.type).toBe('UTF8')
+  })
+
+  it('can convert values into values of a Parquet type', () => {
+    expect(convertToParquetValue(null, 'UTF8')).toBeUndefined()
+    expect(convertToParquetValue('2021-01-02T03:04:05.678Z', 'TIMESTAMP_MILLIS'))
+      .toEqual(new Date('2021-01-02T03:04:05.678Z'))
+    expect(convertToParquetValue(1609556645678, 'UTF8')).toBe('1609556645678')
+    expect(convertToParquetValue(6.5, 'DOUBLE')).toBe(6.5)
+  })
+
+  it('can write a table as a Parquet file', async () => {
+    const file = await convertToParquet(source, { columns })
+
+    expect(file.subarray(0, 4).toString()).toBe('PAR1')
+    expect(file.subarray(-4).toString()).toBe('PAR1')
+  })
+
+  it('can write Parquet files with a given compression and row group size', async () => {
+    const table = [['Id', 'Name'], [1, 'a'], [2, 'b'], [3, null]]
+    const { metadata, rows } = await read(await convertToParquet(table, {
+      columns: [columns[0], columns[3]],
+      compression: 'gzip',
+      rowGroupSize: 2,
+    }))
+
+    expect(metadata.row_groups.length).toBe(2)
+    // 2 is GZIP in the Parquet format's list of compression codecs
+    expect(metadata.row_groups[0].columns[0].meta_data.codec).toBe(2)
+    expect(rows.map(row => [Number(row.Id), row.Name])).toEqual([[1, 'a'], [2, 'b'], [3, undefined]])
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for saving, loading and editing answer profiles.
+ *
+ * @module
+ */
+
+import { getProfilePath, loadProfile, saveProfile, withDefaults } from '../src/profiles.mjs'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+describe('Answer Profiles', () => {
+
+  let dir
+
+  const answers = {
+    includeOptional: true,
+    sourceCount: 250,
+    rowDiff: -3,
+    colsRandomized: false,
+    mangleColNames: ['From', 'To'],
+    floatColsToTweak: ['None'],
+    dateColsToMangle: ['Transaction Date'],
+    geoColsToMangle: ['None'],
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('can build the path to a named profile', () => {
+    expect(getProfilePath('nightly-run', dir)).toBe(path.join(dir, 'nightly-run.json'))
+  })
+
+  it('rejects profile names that are not safe file names', () => {
+    expect(() => getProfilePath('../escape', dir)).toThrow(/Invalid profile name/)
+    expect(() => getProfilePath('', dir)).toThrow(/Invalid profile name/)
+  })
+
+  it('can save a profile and load it back', () => {
+    const file = saveProfile('sprint', answers, dir)
+
+    expect(fs.existsSync(file)).toBe(true)
+    expect(loadProfile('sprint', dir)).toEqual(answers)
+  })
+
+  it('creates the profiles directory if it does not exist', () => {
+    const nested = path.join(dir, 'nested')
+
+    saveProfile('sprint', answers, nested)
+    expect(loadProfile('sprint', nested)).toEqual(answers)
+  })
+
+  it('throws a helpful error when a profile does not exist', () => {
+    expect(() => loadProfile('missing', dir)).toThrow(/Profile "missing" does not exist/)
+  })
+
+  it('can use saved answers as the defaults for questions', () => {
+    const questions = [
+      { type: 'number', name: 'sourceCount', default: 100 },
+      { type: 'checkbox', name: 'mangleColNames', default: ['None'] },
+      { type: 'confirm', name: 'somethingElse', default: false },
+    ]
+    const edited = withDefaults(questions, answers)
+
+    expect(edited[0].default).toBe(250)
+    expect(edited[1].default).toEqual(['From', 'To'])
+    expect(edited[2].default).toBe(false)
+    expect(edited.every(q => q.askAnswered)).toBe(true)
+    // the original questions are left untouched
+    expect(questions[0].default).toBe(100)
+  })
+})
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for generating strings from regular expressions.
+ *
+ * @module
+ */
+
+import { countRegexMatches, generateFromRegex, parseRegex, unboundedRepeats } from '../src/regexGenerator.mjs'
+import { faker } from '@faker-js/faker'
+
+describe('Regular Expression Generator', () => {
+
+  const random = () => faker.mersenne.rand(2 ** 32) / 2 ** 32
+
+  it('can generate strings that match a regular expression', () => {
+    const patterns = [
+      'ACC-[A-Z]{3}-\\d{6}',
+      '^(?:GB|FR)\\d{2} [0-9A-F]{4}$',
+      '[^a-z\\s]+x?',
+      '\\w{2,5}@(foo|bar)\\.(com|org)',
+      '.\\S\\D\\W[-_.]',
+      '\\bab*c{2,}',
+    ]
+
+    faker.seed(11)
+    patterns.forEach(pattern => {
+      Array.from({ length: 50 }, () => generateFromRegex(pattern, random))
+        .forEach(val => expect(val).toMatch(new RegExp(`^(?:${pattern})$`)))
+    })
+  })
+
+  it('can generate the same strings from the same seed', () => {
+    faker.seed(5)
+    const first = Array.from({ length: 10 }, () => generateFromRegex('[A-Z]\\d{4}', random))
+
+    faker.seed(5)
+    expect(Array.from({ length: 10 }, () => generateFromRegex('[A-Z]\\d{4}', random))).toEqual(first)
+  })
+
+  it('can repeat unbounded quantifiers a limited number of times', () => {
+    const lengths = Array.from({ length: 200 }, () => generateFromRegex('a*').length)
+
+    expect(Math.min(...lengths)).toBe(0)
+    expect(Math.max(...lengths)).toBe(unboundedRepeats)
+    expect(generateFromRegex('b{3,}').length).toBeGreaterThan(2)
+  })
+
+  it('can count the strings that match a regular expression', () => {
+    expect(countRegexMatches('ACC-[A-Z]{3}-\\d{6}')).toBe(26 ** 3 * 10 ** 6)
+    expect(countRegexMatches('[AB]\\d')).toBe(20)
+    expect(countRegexMatches('(x|yz)?')).toBe(3)
+    expect(countRegexMatches('a{2,4}')).toBe(3)
+    expect(countRegexMatches('\\d{1,2}')).toBe(110)
+    expect(countRegexMatches('^fixed$')).toBe(1)
+    expect(countRegexMatches('(GB|FR|AB|AC)x?')).toBe(8)
+  })
+
+  it('claims no count for patterns that can match the same string in more than one way', () => {
+    // e.g. "a" is matched by either [ab]?, but there are only 7 different strings
+    expect(countRegexMatches('[ab]?[ab]?')).toBe(Infinity)
+    expect(countRegexMatches('a|a')).toBe(Infinity)
+    expect(countRegexMatches('(ab|a)(c|bc)')).toBe(Infinity)
+    expect(countRegexMatches('(a|aa){2}')).toBe(Infinity)
+    expect(countRegexMatches('[a-c]|[c-e]')).toBe(Infinity)
+  })
+
+  it('refuses regular expressions it can\'t generate from', () => {
+    expect(() => parseRegex('(a)\\1')).toThrow('Backreferences are not supported at position 5 of /(a)\\1/')
+    expect(() => parseRegex('(?=a)b')).toThrow(/Lookarounds and named groups are not supported/)
+    expect(() => parseRegex('[a-')).toThrow(/Unterminated character class/)
+    expect(() => parseRegex('(ab')).toThrow(/Unterminated group/)
+    expect(() => parseRegex('ab)')).toThrow(/Unmatched closing parenthesis/)
+    expect(() => parseRegex('*a')).toThrow(/Nothing to repeat/)
+    expect(() => parseRegex('a{3,1}')).toThrow(/Quantifier range is out of order/)
+    expect(() => parseRegex('[z-a]')).toThrow(/Invalid range in character class/)
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the functions that write tables as SQL scripts.
+ *
+ * @module
+ */
+
+import {
+  convertToSql,
+  convertToSqlValue,
+  createTableSql,
+  inferSqlType,
+  inferSqlTypes,
+  sqlDialects
+} from '../src/sqlWriter.mjs'
+
+describe('SQL Writer', () => {
+  const columns = [
+    { name: 'id', cat: 'datatype', type: 'number', unique: true },
+    { name: 'When', cat: 'date', type: 'past' },
+    { name: 'Amount', cat: 'finance', type: 'amount', convert: true, dec: 2 },
+    { name: 'Name', cat: 'company', type: 'name' },
+  ]
+  const table = [
+    ['Id', 'When', 'Amount', 'Name'],
+    [1, new Date('2020-01-02T03:04:05.678Z'), 123.45, "O'Hara & Sons"],
+    [2, '2021-01-02T03:04:05.678Z', 6.5, null],
+    [3, new Date('2022-01-02T03:04:05.678Z'), 78, 'Back\\slash'],
+  ]
+
+  it('can infer column types from the colspec and the values', () => {
+    expect(inferSqlType(columns[0], [1, 2, 3])).toEqual({ kind: 'integer' })
+    expect(inferSqlType(columns[0], [1, 2, 2 ** 40])).toEqual({ kind: 'bigint' })
+    expect(inferSqlType(columns[1], [new Date(), '2021-01-02T03:04:05.678Z'])).toEqual({ kind: 'timestamp' })
+    expect(inferSqlType(columns[2], [123.45, 6.5])).toEqual({ kind: 'decimal', precision: 5, scale: 2 })
+    expect(inferSqlType(columns[3], ['a', null])).toEqual({ kind: 'text' })
+    expect(inferSqlType(undefined, [true, false])).toEqual({ kind: 'boolean' })
+  })
+
+  it('can infer the type of a column with hundreds of thousands of values', () => {
+    const amounts = Array.from({ length: 300000 }, (_, i) => (i % 1000) + 0.25)
+
+    expect(inferSqlType(columns[2], amounts)).toEqual({ kind: 'decimal', precision: 5, scale: 2 })
+  })
+
+  it('falls back to a looser type when the values do not fit the colspec', () => {
+    // e.g. mangled dates and tweaked floats in TARGET
+    expect(inferSqlType(columns[1], [new Date(), 1593065300845, '6/25/2020, 6:08:20 AM'])).toEqual({ kind: 'text' })
+    expect(inferSqlType(columns[2], [123.45, 123.4500001])).toEqual({ kind: 'float' })
+  })
+
+  it('can infer column types from the colspec alone when there are no values', () => {
+    expect(inferSqlType(columns[1], [])).toEqual({ kind: 'timestamp', precision: 18, scale: undefined })
+    expect(inferSqlType(columns[2], [null])).toEqual({ kind: 'decimal', precision: 18, scale: 2 })
+    expect(inferSqlType(columns[3], []).kind).toBe('text')
+  })
+
+  it('can quote identifiers for each dialect', () => {
+    expect(sqlDialects.postgres.quoteIdentifier('say "hi"')).toBe('"say ""hi"""')
+    expect(sqlDialects.mysql.quoteIdentifier('a`b')).toBe('`a``b`')
+    expect(sqlDialects.sqlite.quoteIdentifier('txn_date')).toBe('"txn_date"')
+    expect(sqlDialects.mssql.quoteIdentifier('a]b')).toBe('[a]]b]')
+  })
+
+  it('can convert values into SQL literals', () => {
+    expect(convertToSqlValue(null)).toBe('NULL')
+    expect(convertToSqlValue(NaN)).toBe('NULL')
+    expect(convertToSqlValue(12.5)).toBe('12.5')
+    expect(convertToSqlValue(12.5, 'postgres', 'text')).toBe("'12.5'")
+    expect(convertToSqlValue(true)).toBe('TRUE')
+    expect(convertToSqlValue(true, 'mssql')).toBe('1')
+    expect(convertToSqlValue("O'Hara")).toBe("'O''Hara'")
+    expect(convertToSqlValue('a\\b', 'mysql')).toBe("'a\\\\b'")
+    expect(convertToSqlValue('café', 'mssql')).toBe("N'café'")
+    expect(convertToSqlValue(new Date('2020-01-02T03:04:05.678Z'))).toBe("'2020-01-02 03:04:05.678'")
+    expect(convertToSqlValue('2020-01-02T03:04:05.678Z', 'postgres', 'timestamp')).toBe("'2020-01-02 03:04:05.678'")
+  })
+
+  it('can build a CREATE TABLE statement for each dialect', () => {
+    const sqlTypes = inferSqlTypes(table, columns)
+
+    expect(createTableSql(table[0], sqlTypes, { table: 'source', columns })).toBe([
+      'CREATE TABLE "source" (',
+      '  "Id" INTEGER UNIQUE,',
+      '  "When" TIMESTAMP(3),',
+      '  "Amount" NUMERIC(5, 2),',
+      '  "Name" TEXT',
+      ');',
+      '',
+    ].join('\n'))
+    expect(createTableSql(table[0], sqlTypes, { dialect: 'mysql', table: 'source', columns }))
+      .toContain('`When` DATETIME(3)')
+    expect(createTableSql(table[0], sqlTypes, { dialect: 'sqlite', table: 'source', columns }))
+      .toContain('"Amount" NUMERIC,')
+    expect(createTableSql(table[0], sqlTypes, { dialect: 'mssql', table: 'source', columns }))
+      .toContain('[Name] NVARCHAR(MAX)')
+  })
+
+  it('can write a table as batched INSERT statements', () => {
+    const sql = convertToSql(table, { dialect: 'mysql', table: 'target', columns, batchSize: 2 })
+    const inserts = sql.split('\n').filter(line => line.startsWith('INSERT'))
+
+    expect(sql).toMatch(/^CREATE TABLE `target` \(/)
+    expect(inserts).toEqual([
+      'INSERT INTO `target` (`Id`, `When`, `Amount`, `Name`) VALUES',
+      'INSERT INTO `target` (`Id`, `When`, `Amount`, `Name`) VALUES',
+    ])
+    expect(sql).toContain("  (1, '2020-01-02 03:04:05.678', 123.45, 'O''Hara & Sons'),\n")
+    expect(sql).toContain("  (2, '2021-01-02 03:04:05.678', 6.5, NULL);\n")
+    expect(sql).toContain("  (3, '2022-01-02 03:04:05.678', 78, 'Back\\\\slash');\n")
+  })
+
+  it('writes only the CREATE TABLE statement for a table with no rows', () => {
+    expect(convertToSql([['Id']], { table: 'empty' })).toBe('CREATE TABLE "empty" (\n  "Id" TEXT\n);\n')
+  })
+})
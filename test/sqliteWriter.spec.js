@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the functions that write tables into a SQLite database.
+ *
+ * @module
+ */
+
+import { convertManifestToTable, convertToSqlite, manifestColumns } from '../src/sqliteWriter.mjs'
+import initSqlJs from 'sql.js'
+
+describe('SQLite Writer', () => {
+  const columns = [
+    { name: 'id', cat: 'datatype', type: 'number', unique: true },
+    { name: 'When', cat: 'date', type: 'past' },
+    { name: 'Amount', cat: 'finance', type: 'amount', convert: true, dec: 2 },
+  ]
+  const source = [
+    ['Id', 'When', 'Amount'],
+    [1, new Date('2020-01-02T03:04:05.678Z'), 123.45],
+    [2, new Date('2021-01-02T03:04:05.678Z'), 6.5],
+  ]
+  const target = [
+    ['Id', 'txn_amt', 'When'],
+    [1, 123.4500001, '2020-01-02T03:04:05.678Z'],
+  ]
+  const manifest = {
+    cells: [{ id: 1, column: 'Amount', original: 123.45, mangled: 123.4500001, type: 'float' }],
+    headers: [{ original: 'Amount', mangled: 'txn_amt' }],
+    columnOrder: [0, 2, 1],
+    removedRows: { source: [], target: [2] },
+  }
+
+  /**
+   * Opens a database file and runs a query on it
+   *
+   * @param   {Buffer} file  The contents of the database file
+   * @param   {string} query The SQL query
+   * @returns {Promise}      Resolves to the rows returned by the query
+   */
+  const query = async (file, query) => {
+    const SQL = await initSqlJs()
+    const db = new SQL.Database(file)
+    const [result] = db.exec(query)
+
+    db.close()
+
+    return result ? result.values : []
+  }
+
+  it('can flatten a manifest into rows', () => {
+    expect(convertManifestToTable(manifest, { source: 'src', target: 'tgt' })).toEqual([
+      manifestColumns,
+      ['cell', 'tgt', 1, 'Amount', 123.45, 123.4500001, 'float'],
+      ['header', 'tgt', null, 'Amount', 'Amount', 'txn_amt', null],
+      ['column_order', 'tgt', null, null, 0, 0, null],
+      ['column_order', 'tgt', null, null, 2, 1, null],
+      ['column_order', 'tgt', null, null, 1, 2, null],
+      ['removed_row', 'tgt', 2, null, null, null, null],
+    ])
+  })
+
+  it('can write both tables and the manifest into one database', async () => {
+    const file = await convertToSqlite({
+      source: { data: source, options: { table: 'source', columns } },
+      target: { data: target, options: { table: 'tgt', columns: [columns[0], columns[2], columns[1]] } },
+    }, manifest)
+
+    expect(await query(file, "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"))
+      .toEqual([['manifest'], ['source'], ['tgt']])
+    expect(await query(file, 'SELECT * FROM source ORDER BY Id')).toEqual([
+      [1, '2020-01-02 03:04:05.678', 123.45],
+      [2, '2021-01-02 03:04:05.678', 6.5],
+    ])
+    expect(await query(file, 'SELECT * FROM tgt')).toEqual([[1, 123.4500001, '2020-01-02 03:04:05.678']])
+    expect(await query(file, "SELECT row_id FROM manifest WHERE change = 'removed_row'")).toEqual([[2]])
+  })
+
+  it('creates typed columns with a primary key on the unique column', async () => {
+    const file = await convertToSqlite({ source: { data: source, options: { table: 'source', columns } } })
+
+    expect(await query(file, "SELECT sql FROM sqlite_master WHERE name = 'source'")).toEqual([[
+      'CREATE TABLE "source" (\n  "Id" INTEGER PRIMARY KEY,\n  "When" TEXT,\n  "Amount" NUMERIC\n)',
+    ]])
+  })
+
+  it('refuses to give two tables the same name', async () => {
+    await expect(convertToSqlite({
+      source: { data: source, options: { table: 'data', columns } },
+      target: { data: target, options: { table: 'data' } },
+    })).rejects.toThrow(/"data" is used twice/)
+    await expect(convertToSqlite({ source: { data: source, options: { table: 'manifest' } } }, manifest))
+      .rejects.toThrow(/"manifest" is used twice/)
+  })
+})
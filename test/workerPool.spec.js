@@ -0,0 +1,49 @@
+/**
+ * Unit tests for the pool of worker threads.
+ *
+ * @module
+ */
+
+import { runInWorkers } from '../src/workerPool.mjs'
+
+describe('Worker Pool', () => {
+  // squares each number it is sent, after adding the pool's workerData, and fails on negative numbers
+  const script = new URL(`data:text/javascript,${encodeURIComponent(`
+    import { parentPort, workerData } from 'worker_threads'
+
+    parentPort.on('message', ({ id, task }) => {
+      if (task < 0) {
+        parentPort.postMessage({ id, error: 'negative: ' + task })
+      } else {
+        setTimeout(() => parentPort.postMessage({ id, result: (task + workerData) ** 2 }), (task % 3) * 5)
+      }
+    })
+  `)}`)
+
+  /**
+   * Collects every result yielded by the pool
+   *
+   * @param   {AsyncIterable} results The results
+   * @returns {Promise}               Resolves to an array of the results
+   */
+  const collect = async results => {
+    const items = []
+
+    for await (const item of results) {
+      items.push(item)
+    }
+
+    return items
+  }
+
+  it('yields the results of the tasks in order', async () => {
+    const tasks = Array.from({ length: 10 }, (_, i) => i)
+
+    expect(await collect(runInWorkers(script, 1, tasks, 3))).toEqual(tasks.map(i => (i + 1) ** 2))
+    expect(await collect(runInWorkers(script, 0, [], 2))).toEqual([])
+  })
+
+  it('fails when a task fails', async () => {
+    await expect(collect(runInWorkers(script, 0, [1, 2, -3, 4], 2))).rejects.toThrow('negative: -3')
+  })
+})
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for the functions that write tables into an Excel workbook.
+ *
+ * @module
+ */
+
+import { convertToXlsx, convertToXlsxValue, dateFormat, getMangledCells } from '../src/xlsxWriter.mjs'
+import ExcelJS from 'exceljs'
+
+describe('Excel Writer', () => {
+  const columns = [
+    { name: 'id', cat: 'datatype', type: 'number', unique: true },
+    { name: 'When', cat: 'date', type: 'past' },
+    { name: 'Amount', cat: 'finance', type: 'amount', convert: true, dec: 2 },
+  ]
+  const source = [
+    ['Id', 'When', 'Amount'],
+    [1, new Date('2020-01-02T03:04:05.678Z'), 123.45],
+    [2, new Date('2021-01-02T03:04:05.678Z'), 6.5],
+  ]
+  const target = [
+    ['Id', 'txn_amt', 'When'],
+    [2, 6.5, 1609556645678],
+    [1, 123.4500001, '2020-01-02T03:04:05.678Z'],
+  ]
+  const targetColumns = [columns[0], columns[2], columns[1]]
+  const manifest = {
+    cells: [
+      { id: 1, column: 'Amount', original: 123.45, mangled: 123.4500001, type: 'float' },
+      { id: 2, column: 'When', original: '2021-01-02T03:04:05.678Z', mangled: 1609556645678, type: 'date' },
+    ],
+    headers: [{ original: 'Amount', mangled: 'txn_amt' }],
+    columnOrder: [0, 2, 1],
+    removedRows: { source: [], target: [] },
+  }
+
+  /**
+   * Reads a workbook from the contents of its file
+   *
+   * @param   {Buffer} file The contents of the workbook file
+   * @returns {Promise}     Resolves to the workbook
+   */
+  const read = async file => {
+    const workbook = new ExcelJS.Workbook()
+
+    await workbook.xlsx.load(file)
+
+    return workbook
+  }
+
+  it('can convert values into cell values', () => {
+    expect(convertToXlsxValue('2020-01-02T03:04:05.678Z', columns[1])).toEqual(new Date('2020-01-02T03:04:05.678Z'))
+    expect(convertToXlsxValue('2020-01-02T03:04:05.678Z')).toBe('2020-01-02T03:04:05.678Z')
+    expect(convertToXlsxValue('1/2/2020, 3:04:05 AM', columns[1])).toBe('1/2/2020, 3:04:05 AM')
+    expect(convertToXlsxValue(1609556645678, columns[1])).toBe(1609556645678)
+    expect(convertToXlsxValue(undefined)).toBeNull()
+  })
+
+  it('can find the cells of TARGET that were altered', () => {
+    expect(getMangledCells(target, manifest)).toEqual([[0, 1], [2, 1], [1, 2]])
+  })
+
+  it('can write each table on its own sheet with numbers and dates as typed cells', async () => {
+    const workbook = await read(await convertToXlsx({
+      source: { data: source, options: { table: 'source', columns } },
+      target: { data: target, options: { table: 'target', columns: targetColumns } },
+    }, manifest))
+    const sourceSheet = workbook.getWorksheet('source')
+    const targetSheet = workbook.getWorksheet('target')
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['source', 'target'])
+    expect(sourceSheet.getRow(1).values.slice(1)).toEqual(['Id', 'When', 'Amount'])
+    expect(sourceSheet.getCell('A2').value).toBe(1)
+    expect(sourceSheet.getCell('B2').value).toEqual(new Date('2020-01-02T03:04:05.678Z'))
+    expect(sourceSheet.getCell('B2').numFmt).toBe(dateFormat)
+    expect(sourceSheet.getCell('C2').value).toBe(123.45)
+    expect(targetSheet.getCell('C3').value).toEqual(new Date('2020-01-02T03:04:05.678Z'))
+    // an altered date stays the timestamp it was altered into
+    expect(targetSheet.getCell('C2').value).toBe(1609556645678)
+    expect(targetSheet.getCell('C2').numFmt).not.toBe(dateFormat)
+  })
+
+  it('can highlight the cells of TARGET that were altered', async () => {
+    const file = await convertToXlsx({
+      target: { data: target, options: { table: 'target', columns: targetColumns, highlight: true } },
+    }, manifest)
+    const sheet = (await read(file)).getWorksheet('target')
+    const highlighted = ['A1', 'B1', 'C1', 'A2', 'B2', 'C2', 'A3', 'B3', 'C3']
+      .filter(address => sheet.getCell(address).fill && sheet.getCell(address).fill.pattern === 'solid')
+
+    expect(highlighted).toEqual(['B1', 'C2', 'B3'])
+  })
+
+  it('highlights the right rows when the ids of TARGET were renumbered', async () => {
+    // row 2 was removed from TARGET, and the ids after it were renumbered
+    const renumbered = [
+      ['Id', 'Amount'],
+      [1, 10.5],
+      [2, 30.5000001],
+      [3, 40.4999999],
+      [4, 50.5],
+    ]
+    const changes = {
+      cells: [
+        { id: 3, column: 'Id', original: 3, mangled: 2, type: 'resequence' },
+        { id: 4, column: 'Id', original: 4, mangled: 3, type: 'resequence' },
+        { id: 5, column: 'Id', original: 5, mangled: 4, type: 'resequence' },
+        { id: 3, column: 'Amount', original: 30.5, mangled: 30.5000001, type: 'float' },
+        { id: 4, column: 'Amount', original: 40.5, mangled: 40.4999999, type: 'float' },
+      ],
+      headers: [],
+      columnOrder: [0, 1],
+      removedRows: { source: [], target: [2] },
+    }
+    const file = await convertToXlsx({
+      target: { data: renumbered, options: { table: 'target', columns: [columns[0], columns[2]], highlight: true } },
+    }, changes)
+    const sheet = (await read(file)).getWorksheet('target')
+    const highlighted = ['A', 'B'].flatMap(col => [2, 3, 4, 5].map(row => `${col}${row}`))
+      .filter(address => sheet.getCell(address).fill && sheet.getCell(address).fill.pattern === 'solid')
+
+    expect(highlighted).toEqual(['A3', 'A4', 'A5', 'B3', 'B4'])
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for the functions that write tables as XML documents.
+ *
+ * @module
+ */
+
+import { convertToXml, escapeXml, isXmlName, toXmlName } from '../src/xmlWriter.mjs'
+import { encodeContent } from '../src/generatorUtilities.mjs'
+
+describe('XML Writer', () => {
+  const table = [
+    ['Id', 'Name', 'When'],
+    [1, 'Smith & <Sons>', new Date('2020-01-02T03:04:05.678Z')],
+    [2, null, 'a "b"\nc'],
+  ]
+
+  it('can tell whether a name is a valid XML name', () => {
+    expect(isXmlName('TransactionDate')).toBe(true)
+    expect(isXmlName('txn_date.v2')).toBe(true)
+    expect(isXmlName('2nd')).toBe(false)
+    expect(isXmlName('Transaction Date')).toBe(false)
+    expect(isXmlName('xmlData')).toBe(false)
+  })
+
+  it('can convert headers into valid XML names', () => {
+    expect(toXmlName('Amount')).toBe('Amount')
+    expect(toXmlName('Transaction Date')).toBe('Transaction_Date')
+    expect(toXmlName('2nd')).toBe('_2nd')
+    expect(toXmlName('Amount($)')).toBe('Amount___')
+  })
+
+  it('can escape values for element text and attributes', () => {
+    expect(escapeXml('a < b && c > d')).toBe('a &lt; b &amp;&amp; c &gt; d')
+    expect(escapeXml('say "hi"\n')).toBe('say "hi"\n')
+    expect(escapeXml('say "hi"\n\t', true)).toBe('say &quot;hi&quot;&#10;&#9;')
+    expect(escapeXml('bell\u0007')).toBe('bell�')
+    expect(escapeXml(new Date('2020-01-02T03:04:05.678Z'))).toBe('2020-01-02T03:04:05.678Z')
+  })
+
+  it('can write a table as an XML document with one element per row', () => {
+    expect(convertToXml(table, { table: 'source' })).toBe([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<source>',
+      '  <row>',
+      '    <Id>1</Id>',
+      '    <Name>Smith &amp; &lt;Sons&gt;</Name>',
+      '    <When>2020-01-02T03:04:05.678Z</When>',
+      '  </row>',
+      '  <row>',
+      '    <Id>2</Id>',
+      '    <When>a "b"',
+      'c</When>',
+      '  </row>',
+      '</source>',
+      '',
+    ].join('\n'))
+  })
+
+  it('can write columns as attributes and use the given element names', () => {
+    const xml = convertToXml(table, {
+      columns: [{ xml: 'attribute' }, undefined, { xml: 'attribute' }],
+      rootElement: 'Transactions',
+      rowElement: 'Transaction',
+      encoding: 'latin1',
+    })
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="ISO-8859-1"\?>\n<Transactions>\n/)
+    expect(xml).toContain('  <Transaction Id="1" When="2020-01-02T03:04:05.678Z">\n    <Name>')
+    expect(xml).toContain('  <Transaction Id="2" When="a &quot;b&quot;&#10;c"/>\n')
+    expect(xml).toMatch(/<\/Transactions>\n$/)
+  })
+
+  it('starts a document declared as UTF-16 with a byte order mark', () => {
+    const marked = encodeContent(convertToXml(table, { encoding: 'utf16le' }), { encoding: 'utf16le' })
+    const requested = encodeContent(convertToXml(table, { encoding: 'utf16le', bom: true }), { encoding: 'utf16le', bom: true })
+
+    expect([...marked.subarray(0, 4)]).toEqual([0xff, 0xfe, 0x3c, 0x00])
+    expect(requested).toEqual(marked)
+    expect(marked.toString('utf16le')).toMatch(/^\ufeff<\?xml version="1.0" encoding="UTF-16"\?>\n<data>\n/)
+    expect(convertToXml(table).startsWith('<?xml')).toBe(true)
+  })
+})